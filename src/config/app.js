@@ -17,6 +17,136 @@ export const config = {
     windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS || '900000'),
     maxRequests: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS || '100'),
   },
+
+  idempotency: {
+    // How long Idempotency-Key responses are kept for replay
+    ttlMs: parseInt(process.env.IDEMPOTENCY_TTL_MS || '86400000'),
+    // An 'in_progress' record older than this is treated as abandoned
+    lockTimeoutMs: parseInt(process.env.IDEMPOTENCY_LOCK_TIMEOUT_MS || '60000'),
+  },
+
+  cancellation: {
+    // Statuses in which a customer may always cancel
+    customerStatuses: (process.env.CUSTOMER_CANCELLABLE_STATUSES || 'scheduled,pending').split(','),
+    // Minutes after 'accepted' during which a customer may still cancel
+    acceptedGraceMinutes: parseInt(process.env.CANCEL_ACCEPTED_GRACE_MINUTES || '2'),
+  },
+
+  orderEvents: {
+    // Events kept per order for Last-Event-ID replay
+    bufferSize: parseInt(process.env.ORDER_EVENTS_BUFFER_SIZE || '50'),
+    // Orders whose events are kept in memory (least recently active evicted)
+    maxOrders: parseInt(process.env.ORDER_EVENTS_MAX_ORDERS || '1000'),
+    heartbeatMs: parseInt(process.env.SSE_HEARTBEAT_MS || '15000'),
+    retryMs: parseInt(process.env.SSE_RETRY_MS || '5000'),
+  },
+
+  drivers: {
+    // How long a driver has to accept an order offer
+    offerTimeoutSeconds: parseInt(process.env.DRIVER_OFFER_TIMEOUT_SECONDS || '60'),
+  },
+
+  dispatch: {
+    // Search rings around the restaurant, tried from the smallest
+    radiiKm: (process.env.DISPATCH_RADII_KM || '3,6,10').split(',').map(Number),
+    // Drivers offered the order at once in each round
+    offersPerRound: parseInt(process.env.DISPATCH_OFFERS_PER_ROUND || '1'),
+    // Drivers carrying this many orders are not offered more
+    maxActiveOrders: parseInt(process.env.DISPATCH_MAX_ACTIVE_ORDERS || '2'),
+    // Ignore drivers whose last known position is older than this
+    locationMaxAgeSeconds: parseInt(process.env.DISPATCH_LOCATION_MAX_AGE_SECONDS || '300'),
+    cycleIntervalMs: parseInt(process.env.DISPATCH_CYCLE_INTERVAL_MS || '15000'),
+    // A driver who declined or let an offer expire may be offered the same
+    // order again after this long
+    reofferCooldownSeconds: parseInt(process.env.DISPATCH_REOFFER_COOLDOWN_SECONDS || '300'),
+    weights: {
+      distance: 0.6,
+      load: 0.25,
+      acceptance: 0.15,
+    },
+  },
+
+  tracking: {
+    // Average speeds used for ETAs, per drivers.vehicle_type
+    averageSpeedsKmh: {
+      bicycle: parseFloat(process.env.SPEED_BICYCLE_KMH || '12'),
+      scooter: parseFloat(process.env.SPEED_SCOOTER_KMH || '22'),
+      motorcycle: parseFloat(process.env.SPEED_MOTORCYCLE_KMH || '28'),
+      car: parseFloat(process.env.SPEED_CAR_KMH || '24'),
+      default: parseFloat(process.env.SPEED_DEFAULT_KMH || '20'),
+    },
+    // Roads are longer than straight lines
+    roadDistanceFactor: parseFloat(process.env.ROAD_DISTANCE_FACTOR || '1.3'),
+    // Used for ETAs when a restaurant has no average_prep_minutes
+    defaultPrepMinutes: parseInt(process.env.DEFAULT_PREP_MINUTES || '20'),
+    // How long the per-driver position trail is kept
+    historyRetentionMinutes: parseInt(process.env.LOCATION_HISTORY_RETENTION_MINUTES || '120'),
+  },
+
+  openingHours: {
+    // Opening hours are wall-clock times in this timezone
+    timezone: process.env.RESTAURANT_TIMEZONE || 'Africa/Algiers',
+    // Longest timed pause a restaurant can set (indefinite pauses aside)
+    maxPauseMinutes: parseInt(process.env.MAX_RESTAURANT_PAUSE_MINUTES || '720'),
+  },
+
+  scheduling: {
+    // Slot length offered by GET /api/restaurants/:id/time-slots
+    slotMinutes: parseInt(process.env.SCHEDULE_SLOT_MINUTES || '15'),
+    // Minimum notice for a scheduled order
+    minLeadMinutes: parseInt(process.env.SCHEDULE_MIN_LEAD_MINUTES || '45'),
+    maxDaysAhead: parseInt(process.env.SCHEDULE_MAX_DAYS_AHEAD || '2'),
+    // Released this long before the slot on top of preparation and travel
+    releaseBufferMinutes: parseInt(process.env.SCHEDULE_RELEASE_BUFFER_MINUTES || '10'),
+    // Travel estimate when the delivery point is unknown
+    defaultTravelMinutes: parseInt(process.env.SCHEDULE_DEFAULT_TRAVEL_MINUTES || '20'),
+    releaseIntervalMs: parseInt(process.env.SCHEDULE_RELEASE_INTERVAL_MS || '60000'),
+  },
+
+  nearby: {
+    defaultRadiusKm: parseFloat(process.env.NEARBY_DEFAULT_RADIUS_KM || '5'),
+    maxRadiusKm: parseFloat(process.env.NEARBY_MAX_RADIUS_KM || '30'),
+  },
+
+  search: {
+    // Age after which the autocomplete index is rebuilt from Supabase
+    suggestRefreshMs: parseInt(process.env.SEARCH_SUGGEST_REFRESH_MS || '600000'),
+    suggestLimit: parseInt(process.env.SEARCH_SUGGEST_LIMIT || '8'),
+  },
+
+  referrals: {
+    // Each side gets a single-use fixed discount code of this value
+    referrerReward: parseFloat(process.env.REFERRAL_REFERRER_REWARD || '300'),
+    refereeReward: parseFloat(process.env.REFERRAL_REFEREE_REWARD || '300'),
+    rewardValidityDays: parseInt(process.env.REFERRAL_REWARD_VALIDITY_DAYS || '30'),
+    // Subtotal the referee's first delivered order must reach
+    minOrderAmount: parseFloat(process.env.REFERRAL_MIN_ORDER_AMOUNT || '1000'),
+    // How long after signing up a referral code can still be entered
+    claimWindowHours: parseInt(process.env.REFERRAL_CLAIM_WINDOW_HOURS || '72'),
+    maxRewardsPerReferrer: parseInt(process.env.REFERRAL_MAX_REWARDS_PER_REFERRER || '50'),
+    // How often rewards that failed on delivery are retried
+    retryIntervalMs: parseInt(process.env.REFERRAL_RETRY_INTERVAL_MS || '600000'),
+  },
+
+  proofOfDelivery: {
+    // Accepted proofs: the customer's PIN, a photo or a signature image
+    allowedMethods: (process.env.DELIVERY_PROOF_METHODS || 'pin,photo,signature').split(','),
+    maxPinAttempts: parseInt(process.env.DELIVERY_PIN_MAX_ATTEMPTS || '5'),
+    // Cash on delivery: the driver must enter the amount collected
+    requireCashAmountForCod: process.env.REQUIRE_COD_CASH_AMOUNT !== 'false',
+    bucket: process.env.DELIVERY_PROOF_BUCKET || 'delivery-proofs',
+    signedUrlSeconds: parseInt(process.env.DELIVERY_PROOF_URL_TTL_SECONDS || '3600'),
+  },
+
+  pricing: {
+    currency: 'DZD',
+    // Used when a restaurant has no delivery_fee of its own
+    defaultDeliveryFee: parseFloat(process.env.DEFAULT_DELIVERY_FEE || '0'),
+    // Flat platform fee added to every order
+    serviceFee: parseFloat(process.env.SERVICE_FEE || '0'),
+    // Max allowed difference between the client's quoted total and ours
+    totalTolerance: parseFloat(process.env.PRICE_TOLERANCE || '0.01'),
+  },
 };
 
 export default config;
@@ -0,0 +1,104 @@
+/**
+ * Order lifecycle.
+ *
+ * [scheduled ->] pending -> accepted -> preparing -> ready -> picked_up -> delivered
+ * with cancelled/rejected branches. Terminal statuses have no transitions.
+ */
+export const ORDER_STATUS = {
+  SCHEDULED: 'scheduled',
+  PENDING: 'pending',
+  ACCEPTED: 'accepted',
+  PREPARING: 'preparing',
+  READY: 'ready',
+  PICKED_UP: 'picked_up',
+  DELIVERED: 'delivered',
+  CANCELLED: 'cancelled',
+  REJECTED: 'rejected',
+};
+
+const S = ORDER_STATUS;
+
+/**
+ * Allowed transitions: from -> to -> parties allowed to trigger it.
+ * Parties are resolved per order by getOrderParties() in config/permissions.js.
+ */
+export const ORDER_TRANSITIONS = {
+  // Released to the restaurant by ScheduledOrderService
+  [S.SCHEDULED]: {
+    [S.PENDING]: ['system', 'admin'],
+    [S.CANCELLED]: ['customer', 'admin'],
+  },
+  [S.PENDING]: {
+    [S.ACCEPTED]: ['restaurant', 'admin'],
+    [S.REJECTED]: ['restaurant', 'admin'],
+    [S.CANCELLED]: ['customer', 'admin'],
+  },
+  [S.ACCEPTED]: {
+    [S.PREPARING]: ['restaurant', 'admin'],
+    // Customers only within the grace period (config.cancellation)
+    [S.CANCELLED]: ['customer', 'restaurant', 'admin'],
+  },
+  [S.PREPARING]: {
+    [S.READY]: ['restaurant', 'admin'],
+    [S.CANCELLED]: ['restaurant', 'admin'],
+  },
+  [S.READY]: {
+    [S.PICKED_UP]: ['driver', 'admin'],
+    [S.CANCELLED]: ['admin'],
+  },
+  [S.PICKED_UP]: {
+    [S.DELIVERED]: ['driver', 'admin'],
+  },
+  [S.DELIVERED]: {},
+  [S.CANCELLED]: {},
+  [S.REJECTED]: {},
+};
+
+/**
+ * Restaurant order queue tabs (GET /api/restaurants/:id/orders?view=).
+ */
+export const ORDER_QUEUE_VIEWS = {
+  scheduled: [S.SCHEDULED],
+  incoming: [S.PENDING],
+  active: [S.ACCEPTED, S.PREPARING, S.READY, S.PICKED_UP],
+  completed: [S.DELIVERED, S.CANCELLED, S.REJECTED],
+};
+
+export function isValidStatus(status) {
+  return Object.values(ORDER_STATUS).includes(status);
+}
+
+export function isTerminalStatus(status) {
+  return Object.keys(ORDER_TRANSITIONS[status] || {}).length === 0;
+}
+
+export function canTransition(from, to) {
+  return Boolean(ORDER_TRANSITIONS[from]?.[to]);
+}
+
+/**
+ * Parties allowed to move an order from `from` to `to` ([] if illegal).
+ */
+export function getTransitionActors(from, to) {
+  return ORDER_TRANSITIONS[from]?.[to] || [];
+}
+
+/**
+ * Reason codes accepted by POST /api/orders/:id/cancel, per cancelling party.
+ */
+export const CANCELLATION_REASONS = {
+  customer: ['changed_mind', 'ordered_by_mistake', 'wrong_address', 'too_slow', 'other'],
+  restaurant: ['item_unavailable', 'kitchen_issue', 'closing', 'no_driver', 'other'],
+  admin: ['customer_request', 'restaurant_request', 'fraud_suspected', 'payment_issue', 'other'],
+};
+
+/**
+ * Reason codes accepted by POST /api/orders/:id/reject.
+ */
+export const REJECTION_REASONS = [
+  'too_busy',
+  'item_unavailable',
+  'closing',
+  'out_of_delivery_area',
+  'other',
+];
@@ -0,0 +1,96 @@
+import { getTransitionActors } from './orderStatus.js';
+
+/**
+ * Roles stored in user_profiles.role (lower-cased by the auth middleware).
+ */
+export const ROLES = {
+  CUSTOMER: 'customer',
+  RESTAURANT_OWNER: 'restaurant_owner',
+  RESTAURANT_STAFF: 'restaurant_staff',
+  DRIVER: 'driver',
+  ADMIN: 'admin',
+  SUPER_ADMIN: 'super_admin',
+};
+
+export const ADMIN_ROLES = new Set([ROLES.ADMIN, ROLES.SUPER_ADMIN]);
+
+/**
+ * Actor for changes made by background jobs (the 'system' order party).
+ * Matched by identity, so no user profile can act as it.
+ */
+export const SYSTEM_ACTOR = Object.freeze({ id: null, role: 'system' });
+
+const ALL_ROLES = Object.values(ROLES);
+const ADMINS = [...ADMIN_ROLES];
+const RESTAURANT_ROLES = [ROLES.RESTAURANT_OWNER, ROLES.RESTAURANT_STAFF];
+
+/**
+ * Permission matrix: permission -> roles allowed to use it.
+ * Ownership (which order/restaurant) is checked separately by the handler.
+ */
+export const PERMISSIONS = {
+  'orders:read': ALL_ROLES,
+  'orders:create': ALL_ROLES,
+  'orders:update_status': [...RESTAURANT_ROLES, ROLES.DRIVER, ...ADMINS],
+  'orders:cancel': ALL_ROLES,
+  'orders:reject': [...RESTAURANT_ROLES, ...ADMINS],
+  'restaurant_orders:manage': [...RESTAURANT_ROLES, ...ADMINS],
+  'restaurant_hours:manage': [...RESTAURANT_ROLES, ...ADMINS],
+  'orders:deliver': [ROLES.DRIVER],
+  'orders:assign_driver': ADMINS,
+  'orders:release_scheduled': ADMINS,
+  'referrals:retry_rewards': ADMINS,
+  'drivers:manage': ADMINS,
+  'driver:self': [ROLES.DRIVER],
+  'delivery_zones:manage': [...RESTAURANT_ROLES, ...ADMINS],
+  // Owners only for their own restaurants (see PromoCodeManagementService)
+  'promo_codes:manage': [ROLES.RESTAURANT_OWNER, ...ADMINS],
+  'images:manage_cache': ADMINS,
+  'search:manage': ADMINS,
+};
+
+export function isAdmin(user) {
+  return Boolean(user && ADMIN_ROLES.has(user.role));
+}
+
+export function hasPermission(user, permission) {
+  const roles = PERMISSIONS[permission];
+  if (!user || !roles) return false;
+  return roles.includes(user.role);
+}
+
+/**
+ * Whether the user owns or works at the restaurant. The restaurant is
+ * expected to carry owner_id and staff: [{ user_id }].
+ */
+export function isRestaurantMember(user, restaurant) {
+  if (!user || !restaurant) return false;
+  if (restaurant.owner_id && restaurant.owner_id === user.id) return true;
+  return (restaurant.staff || []).some(member => member.user_id === user.id);
+}
+
+/**
+ * Resolve how a user relates to an order. An order is expected to carry
+ * user_id, driver_id and restaurant (see isRestaurantMember).
+ */
+export function getOrderParties(user, order) {
+  if (!user || !order) return [];
+
+  const parties = [];
+  if (user === SYSTEM_ACTOR) parties.push('system');
+  if (isAdmin(user)) parties.push('admin');
+  if (order.user_id === user.id) parties.push('customer');
+  if (isRestaurantMember(user, order.restaurant)) parties.push('restaurant');
+  if (order.driver_id && order.driver_id === user.id) parties.push('driver');
+
+  return parties;
+}
+
+/**
+ * Whether the user may move the order from its current status to `status`.
+ * Illegal transitions are never allowed.
+ */
+export function canSetOrderStatus(user, order, status) {
+  const allowed = getTransitionActors(order?.status, status);
+  return getOrderParties(user, order).some(party => allowed.includes(party));
+}
@@ -0,0 +1,115 @@
+import { isAdmin, isRestaurantMember } from '../config/permissions.js';
+import deliveryZoneService from '../services/deliveryZoneService.js';
+import restaurantService from '../services/restaurantService.js';
+import { errorResponse, successResponse } from '../utils/response.js';
+
+/**
+ * Admins manage every zone; restaurant owners/staff only their restaurant's.
+ * Wilaya-wide zones (no restaurant_id) are admin only.
+ */
+const assertCanManage = async (user, restaurantId) => {
+  if (isAdmin(user)) return;
+
+  if (restaurantId) {
+    const restaurant = await restaurantService.getRestaurantForAccessCheck(restaurantId);
+    if (restaurant && isRestaurantMember(user, restaurant)) return;
+  }
+
+  throw errorResponse('Forbidden', 403, 'FORBIDDEN');
+};
+
+/**
+ * List delivery zones
+ * GET /api/delivery-zones
+ * Query params: restaurant_id, wilaya, include_inactive (admins only)
+ */
+export const getDeliveryZones = async (req, res, next) => {
+  try {
+    const { restaurant_id, wilaya, include_inactive } = req.query;
+
+    const data = await deliveryZoneService.getZones({
+      restaurantId: restaurant_id,
+      wilaya,
+      includeInactive: include_inactive === 'true' && isAdmin(req.user),
+    });
+
+    res.json(successResponse(data, 'Delivery zones retrieved successfully', {
+      count: data.length,
+    }));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create a delivery zone
+ * POST /api/delivery-zones
+ * Body: { restaurant_id | wilaya, name, type: 'radius'|'polygon',
+ *         min_radius_km?, max_radius_km?, center_lat?, center_lng?, polygon?,
+ *         base_fee, per_km_fee, min_order_amount, free_delivery_threshold?, priority? }
+ */
+export const createDeliveryZone = async (req, res, next) => {
+  try {
+    await assertCanManage(req.user, req.body.restaurant_id);
+
+    const data = await deliveryZoneService.createZone(req.body);
+
+    res.status(201).json(successResponse(data, 'Delivery zone created successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update a delivery zone
+ * PATCH /api/delivery-zones/:id
+ */
+export const updateDeliveryZone = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const zone = await deliveryZoneService.getZoneById(id);
+
+    if (!zone) {
+      return res.status(404).json({
+        success: false,
+        error: 'Delivery zone not found',
+      });
+    }
+
+    await assertCanManage(req.user, zone.restaurant_id);
+
+    const data = await deliveryZoneService.updateZone(id, req.body);
+
+    res.json(successResponse(data, 'Delivery zone updated successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Deactivate a delivery zone
+ * DELETE /api/delivery-zones/:id
+ */
+export const deactivateDeliveryZone = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const zone = await deliveryZoneService.getZoneById(id);
+
+    if (!zone) {
+      return res.status(404).json({
+        success: false,
+        error: 'Delivery zone not found',
+      });
+    }
+
+    await assertCanManage(req.user, zone.restaurant_id);
+
+    const data = await deliveryZoneService.updateZone(id, { is_active: false });
+
+    res.json(successResponse(data, 'Delivery zone deactivated successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,266 @@
+import dispatchService from '../services/dispatchService.js';
+import driverService from '../services/driverService.js';
+import trackingService from '../services/trackingService.js';
+import { paginationMeta, successResponse } from '../utils/response.js';
+
+/**
+ * List drivers (admin)
+ * GET /api/drivers
+ * Query params: online (boolean), vehicle_type, limit, offset
+ */
+export const getDrivers = async (req, res, next) => {
+  try {
+    const { online, vehicle_type, limit = 50, offset = 0 } = req.query;
+
+    const { data, count } = await driverService.getDrivers({
+      online,
+      vehicleType: vehicle_type,
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+    });
+
+    res.json(successResponse(
+      data,
+      'Drivers retrieved successfully',
+      paginationMeta(count, Math.floor(offset / limit) + 1, parseInt(limit))
+    ));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create a driver profile for an existing user (admin)
+ * POST /api/drivers
+ * Body: { user_id, vehicle_type, vehicle_plate? }
+ */
+export const createDriver = async (req, res, next) => {
+  try {
+    const { user_id, vehicle_type, vehicle_plate } = req.body;
+
+    const data = await driverService.createDriver({
+      userId: user_id,
+      vehicleType: vehicle_type,
+      vehiclePlate: vehicle_plate,
+    });
+
+    res.status(201).json(successResponse(data, 'Driver created successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update a driver profile (admin)
+ * PATCH /api/drivers/:id
+ * Body: { vehicle_type?, vehicle_plate?, is_active? }
+ */
+export const updateDriver = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { vehicle_type, vehicle_plate, is_active } = req.body;
+
+    const data = await driverService.updateDriver(id, {
+      vehicleType: vehicle_type,
+      vehiclePlate: vehicle_plate,
+      isActive: is_active,
+    });
+
+    res.json(successResponse(data, 'Driver updated successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Run one automatic dispatch round for all orders waiting for a driver
+ * (admin, or a scheduled job on serverless deployments)
+ * POST /api/drivers/dispatch/run
+ */
+export const runDispatchCycle = async (req, res, next) => {
+  try {
+    const data = await dispatchService.runCycle();
+
+    res.json(successResponse(data, 'Dispatch cycle completed', {
+      count: data.length,
+    }));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Offer an order to a driver (admin)
+ * POST /api/orders/:id/assign-driver
+ * Body: { driver_id }
+ */
+export const assignDriver = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { driver_id } = req.body;
+
+    if (!driver_id) {
+      return res.status(400).json({
+        success: false,
+        error: 'driver_id is required',
+      });
+    }
+
+    const data = await driverService.assignOrder(id, driver_id, { assignedBy: req.user.id });
+
+    res.status(201).json(successResponse(data, 'Order offered to driver successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Current driver's profile
+ * GET /api/driver/me
+ */
+export const getMyDriverProfile = async (req, res, next) => {
+  try {
+    const data = await driverService.getDriver(req.user.id);
+
+    if (!data) {
+      return res.status(404).json({
+        success: false,
+        error: 'Driver profile not found',
+      });
+    }
+
+    res.json(successResponse(data, 'Driver profile retrieved successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update own vehicle details
+ * PATCH /api/driver/me
+ * Body: { vehicle_type?, vehicle_plate? }
+ */
+export const updateMyDriverProfile = async (req, res, next) => {
+  try {
+    const { vehicle_type, vehicle_plate } = req.body;
+
+    const data = await driverService.updateDriver(req.user.id, {
+      vehicleType: vehicle_type,
+      vehiclePlate: vehicle_plate,
+    });
+
+    res.json(successResponse(data, 'Driver profile updated successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Go online / offline
+ * POST /api/driver/shift/start
+ * POST /api/driver/shift/end
+ */
+export const startShift = async (req, res, next) => {
+  try {
+    const data = await driverService.startShift(req.user.id);
+    res.json(successResponse(data, 'You are now online'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const endShift = async (req, res, next) => {
+  try {
+    const data = await driverService.endShift(req.user.id);
+    res.json(successResponse(data, 'You are now offline'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Pending order offers for the current driver
+ * GET /api/driver/offers
+ */
+export const getMyOffers = async (req, res, next) => {
+  try {
+    const data = await driverService.getOffers(req.user.id);
+
+    res.json(successResponse(data, 'Offers retrieved successfully', {
+      count: data.length,
+    }));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Accept / decline an order offer
+ * POST /api/driver/offers/:assignmentId/accept
+ * POST /api/driver/offers/:assignmentId/decline   Body: { reason? }
+ */
+export const acceptOffer = async (req, res, next) => {
+  try {
+    const { assignmentId } = req.params;
+
+    const data = await driverService.acceptOffer(req.user.id, assignmentId);
+
+    res.json(successResponse(data, 'Offer accepted successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const declineOffer = async (req, res, next) => {
+  try {
+    const { assignmentId } = req.params;
+
+    const data = await driverService.declineOffer(req.user.id, assignmentId, {
+      reason: req.body.reason,
+    });
+
+    res.json(successResponse(data, 'Offer declined successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Current driver's deliveries
+ * GET /api/driver/orders
+ * Query params: scope (current|past), limit, offset
+ */
+export const getMyDriverOrders = async (req, res, next) => {
+  try {
+    const { scope = 'current', limit = 50, offset = 0 } = req.query;
+
+    const { data, count } = await driverService.getDriverOrders(req.user.id, {
+      scope,
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+    });
+
+    res.json(successResponse(
+      data,
+      'Driver orders retrieved successfully',
+      paginationMeta(count, Math.floor(offset / limit) + 1, parseInt(limit))
+    ));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Batched GPS points from the driver app
+ * POST /api/driver/location
+ * Body: { points: [{ lat, lng, recorded_at?, accuracy?, speed?, heading? }] }
+ */
+export const postDriverLocation = async (req, res, next) => {
+  try {
+    const data = await trackingService.ingestLocations(req.user.id, req.body.points);
+
+    res.json(successResponse(data, 'Location updated successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,85 @@
+import openingHoursService from '../services/openingHoursService.js';
+import { successResponse } from '../utils/response.js';
+
+/**
+ * Weekly hours, upcoming closures and open status
+ * GET /api/restaurants/:id/opening-hours
+ */
+export const getOpeningHours = async (req, res, next) => {
+  try {
+    const data = await openingHoursService.getHours(req.params.id);
+
+    res.json(successResponse(data, 'Opening hours retrieved successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Replace the weekly hours
+ * PUT /api/restaurants/:id/opening-hours
+ * Body: { hours: [{ day_of_week: 0-6 (0 = Sunday), opens_at: 'HH:MM', closes_at: 'HH:MM' }] }
+ */
+export const setOpeningHours = async (req, res, next) => {
+  try {
+    const data = await openingHoursService.setWeeklyHours(req.params.id, req.body.hours);
+
+    res.json(successResponse(data, 'Opening hours updated successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Add an exceptional closure (holiday...)
+ * POST /api/restaurants/:id/closures
+ * Body: { starts_at, ends_at, reason? }
+ */
+export const addClosure = async (req, res, next) => {
+  try {
+    const { starts_at, ends_at, reason } = req.body;
+
+    const data = await openingHoursService.addClosure(req.params.id, {
+      startsAt: starts_at,
+      endsAt: ends_at,
+      reason,
+    });
+
+    res.status(201).json(successResponse(data, 'Closure added successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Remove a closure
+ * DELETE /api/restaurants/:id/closures/:closureId
+ */
+export const deleteClosure = async (req, res, next) => {
+  try {
+    const { id, closureId } = req.params;
+
+    await openingHoursService.deleteClosure(id, closureId);
+
+    res.json(successResponse(null, 'Closure deleted successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Pause ("busy") or resume taking orders
+ * PUT /api/restaurants/:id/pause
+ * Body: { paused: boolean, minutes?: number, reason?: string }
+ */
+export const setPause = async (req, res, next) => {
+  try {
+    const { paused, minutes, reason } = req.body;
+
+    const data = await openingHoursService.setPause(req.params.id, { paused, minutes, reason });
+
+    res.json(successResponse(data, paused ? 'Restaurant paused' : 'Restaurant resumed'));
+  } catch (error) {
+    next(error);
+  }
+};
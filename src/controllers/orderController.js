@@ -1,5 +1,12 @@
+import { config } from '../config/app.js';
+import { isTerminalStatus } from '../config/orderStatus.js';
+import { isAdmin } from '../config/permissions.js';
+import cancellationService from '../services/cancellationService.js';
+import deliveryProofService from '../services/deliveryProofService.js';
+import orderEventBus from '../services/orderEventBus.js';
 import orderService from '../services/orderService.js';
 import { paginationMeta, successResponse } from '../utils/response.js';
+import { openSseStream, writeSseComment, writeSseEvent } from '../utils/sse.js';
 
 export const getOrders = async (req, res, next) => {
   try {
@@ -42,8 +49,8 @@ export const createOrder = async (req, res, next) => {
     }
 
     const orderData = {
-      userId,
       ...req.body,
+      userId,
     };
 
     const data = await orderService.createOrder(orderData);
@@ -54,6 +61,18 @@ export const createOrder = async (req, res, next) => {
   }
 };
 
+export const quoteOrder = async (req, res, next) => {
+  try {
+    const data = await orderService.quoteOrder({ ...req.body, userId: req.user.id });
+
+    res.json(successResponse(data, 'Order quote computed successfully', {
+      orderable: !data.warnings.some(warning => warning.blocking),
+    }));
+  } catch (error) {
+    next(error);
+  }
+};
+
 export const getOrderById = async (req, res, next) => {
   try {
     const userId = req.user?.id;
@@ -66,7 +85,7 @@ export const getOrderById = async (req, res, next) => {
       });
     }
 
-    const data = await orderService.getOrderById(id, userId);
+    const data = await orderService.getOrderById(id, req.user);
 
     if (!data) {
       return res.status(404).json({
@@ -75,6 +94,10 @@ export const getOrderById = async (req, res, next) => {
       });
     }
 
+    if (isAdmin(req.user)) {
+      data.delivery_proof = await deliveryProofService.getProof(id);
+    }
+
     res.json(successResponse(data, 'Order retrieved successfully'));
   } catch (error) {
     next(error);
@@ -84,7 +107,7 @@ export const getOrderById = async (req, res, next) => {
 export const updateOrderStatus = async (req, res, next) => {
   try {
     const { id } = req.params;
-    const { status } = req.body;
+    const { status, reason } = req.body;
 
     if (!status) {
       return res.status(400).json({
@@ -93,10 +116,141 @@ export const updateOrderStatus = async (req, res, next) => {
       });
     }
 
-    const data = await orderService.updateOrderStatus(id, status);
+    const data = await orderService.updateOrderStatus(id, status, {
+      actor: req.user,
+      reason,
+    });
 
     res.json(successResponse(data, 'Order status updated successfully'));
   } catch (error) {
     next(error);
   }
 };
+
+export const cancelOrder = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { reason_code, reason } = req.body;
+
+    const data = await cancellationService.cancelOrder(id, {
+      actor: req.user,
+      reasonCode: reason_code,
+      reason,
+    });
+
+    res.json(successResponse(data, 'Order cancelled successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const rejectOrder = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { reason_code, reason } = req.body;
+
+    const data = await cancellationService.rejectOrder(id, {
+      actor: req.user,
+      reasonCode: reason_code,
+      reason,
+    });
+
+    res.json(successResponse(data, 'Order rejected successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Live order tracking (Server-Sent Events)
+ * GET /api/orders/:id/events
+ * Events: status, eta, driver_location. Reconnect with Last-Event-ID to
+ * receive the events missed in between.
+ */
+export const streamOrderEvents = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const order = await orderService.getOrderForAccessCheck(id);
+
+    if (!order || order.user_id !== req.user.id) {
+      return res.status(404).json({
+        success: false,
+        error: 'Order not found',
+      });
+    }
+
+    openSseStream(res, { retryMs: config.orderEvents.retryMs });
+
+    // Replay only when the buffer still holds the client's last event (it is
+    // lost on restart or eviction); otherwise start over from a snapshot
+    const lastEventId = req.get('Last-Event-ID');
+    const buffered = orderEventBus.getEventsSince(id, null);
+    const replay = lastEventId && buffered.some(event => String(event.id) === String(lastEventId))
+      ? orderEventBus.getEventsSince(id, lastEventId)
+      : [];
+
+    if (replay.length > 0) {
+      replay.forEach(event => writeSseEvent(res, event));
+    } else {
+      writeSseEvent(res, {
+        type: 'snapshot',
+        data: { order_id: order.id, status: order.status, updated_at: order.updated_at },
+      });
+    }
+
+    // Nothing more will happen to a finished order
+    if (isTerminalStatus(order.status)) {
+      return res.end();
+    }
+
+    let closed = false;
+    const close = () => {
+      if (closed) return;
+      closed = true;
+      clearInterval(heartbeat);
+      unsubscribe();
+      res.end();
+    };
+
+    const unsubscribe = orderEventBus.subscribe(id, event => {
+      writeSseEvent(res, event);
+      // Nothing more will happen to a finished order
+      if (event.type === 'status' && isTerminalStatus(event.data.status)) close();
+    });
+
+    const heartbeat = setInterval(() => writeSseComment(res, 'heartbeat'), config.orderEvents.heartbeatMs);
+
+    req.on('close', close);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Confirm delivery with a proof (driver)
+ * POST /api/orders/:id/deliver
+ * Body: { method: 'pin'|'photo'|'signature', pin?, image?, content_type?,
+ *         cash_collected?, lat?, lng? }
+ */
+export const deliverOrder = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { method, pin, image, content_type, cash_collected, lat, lng } = req.body;
+
+    const data = await deliveryProofService.confirmDelivery(id, {
+      actor: req.user,
+      method,
+      pin,
+      image,
+      contentType: content_type,
+      cashCollected: cash_collected,
+      lat,
+      lng,
+    });
+
+    res.json(successResponse(data, 'Order delivered successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
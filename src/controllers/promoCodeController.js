@@ -1,4 +1,8 @@
+import promoAnalyticsService from '../services/promoAnalyticsService.js';
+import promoCodeManagementService from '../services/promoCodeManagementService.js';
 import promoCodeService from '../services/promoCodeService.js';
+import { sendCsv, toCsv } from '../utils/csv.js';
+import { roundMoney } from '../utils/money.js';
 import { paginationMeta, successResponse } from '../utils/response.js';
 
 export const getPromoCodes = async (req, res, next) => {
@@ -21,9 +25,14 @@ export const getPromoCodes = async (req, res, next) => {
   }
 };
 
+/**
+ * Check a promo code against a cart and compute its discount
+ * POST /api/promo-codes/validate
+ * Body: { code, restaurant_id, subtotal, delivery_fee? }
+ */
 export const validatePromoCode = async (req, res, next) => {
   try {
-    const { code, restaurant_id } = req.body;
+    const { code, restaurant_id, subtotal, delivery_fee = 0 } = req.body;
 
     if (!code) {
       return res.status(400).json({
@@ -32,9 +41,220 @@ export const validatePromoCode = async (req, res, next) => {
       });
     }
 
-    const data = await promoCodeService.validatePromoCode(code, restaurant_id);
+    const cartSubtotal = Number(subtotal);
+    const deliveryFee = Number(delivery_fee);
+    if (!Number.isFinite(cartSubtotal) || cartSubtotal < 0 || !Number.isFinite(deliveryFee) || deliveryFee < 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'subtotal and delivery_fee must be positive amounts',
+      });
+    }
+
+    const promo = await promoCodeService.validatePromoCode(code, restaurant_id, {
+      userId: req.user.id,
+      subtotal: cartSubtotal,
+    });
+    const discount = roundMoney(promoCodeService.calculateDiscount(promo, {
+      subtotal: cartSubtotal,
+      deliveryFee,
+    }));
+
+    res.json(successResponse({ ...promo, subtotal: cartSubtotal, discount }, 'Promo code is valid'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+const EXPORT_COLUMNS = [
+  'code',
+  'campaign',
+  'restaurant_id',
+  'discount_type',
+  'discount_value',
+  'max_discount_amount',
+  'min_order_amount',
+  'usage_limit',
+  'per_user_limit',
+  'first_order_only',
+  'start_date',
+  'end_date',
+  'is_active',
+  'is_public',
+  'redemptions',
+  'created_at',
+];
+
+/**
+ * List promo codes for management, including inactive, scheduled and
+ * expired ones
+ * GET /api/promo-codes/manage
+ * Query params: restaurant_id, status (active|scheduled|expired|inactive|all),
+ *               campaign, limit, offset
+ */
+export const getManagedPromoCodes = async (req, res, next) => {
+  try {
+    const { restaurant_id, status = 'all', campaign, limit = 50, offset = 0 } = req.query;
+
+    const { data, count } = await promoCodeManagementService.listPromoCodes(req.user, {
+      restaurantId: restaurant_id,
+      status,
+      campaign,
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+    });
+
+    res.json(successResponse(
+      data,
+      'Promo codes retrieved successfully',
+      paginationMeta(count, Math.floor(offset / limit) + 1, parseInt(limit))
+    ));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create a promo code
+ * POST /api/promo-codes
+ * Body: { code, restaurant_id?, discount_type, discount_value, max_discount_amount?,
+ *         min_order_amount?, usage_limit?, per_user_limit?, first_order_only?,
+ *         start_date?, end_date?, is_active?, is_public?, campaign?, description? }
+ */
+export const createPromoCode = async (req, res, next) => {
+  try {
+    const data = await promoCodeManagementService.createPromoCode(req.user, req.body);
+
+    res.status(201).json(successResponse(data, 'Promo code created successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update a promo code
+ * PATCH /api/promo-codes/:id
+ */
+export const updatePromoCode = async (req, res, next) => {
+  try {
+    const data = await promoCodeManagementService.updatePromoCode(req.user, req.params.id, req.body);
+
+    res.json(successResponse(data, 'Promo code updated successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Deactivate a promo code
+ * POST /api/promo-codes/:id/deactivate
+ */
+export const deactivatePromoCode = async (req, res, next) => {
+  try {
+    const data = await promoCodeManagementService.deactivatePromoCode(req.user, req.params.id);
+
+    res.json(successResponse(data, 'Promo code deactivated successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Bulk-generate single-use codes for a campaign
+ * POST /api/promo-codes/generate
+ * Body: { count, campaign, prefix?, length?, restaurant_id?, discount_type,
+ *         discount_value, ...other promo code settings }
+ */
+export const generatePromoCodes = async (req, res, next) => {
+  try {
+    const data = await promoCodeManagementService.generatePromoCodes(req.user, req.body);
+
+    res.status(201).json(successResponse(data, `${data.count} promo codes generated successfully`));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Export promo codes as CSV
+ * GET /api/promo-codes/export
+ * Query params: restaurant_id, status, campaign
+ */
+export const exportPromoCodes = async (req, res, next) => {
+  try {
+    const { restaurant_id, status = 'all', campaign } = req.query;
+
+    const rows = await promoCodeManagementService.exportPromoCodes(req.user, {
+      restaurantId: restaurant_id,
+      status,
+      campaign,
+    });
+
+    sendCsv(res, `promo-codes-${campaign || status}.csv`, toCsv(rows, EXPORT_COLUMNS));
+  } catch (error) {
+    next(error);
+  }
+};
+
+const STATS_COLUMNS = [
+  'period',
+  'redemptions',
+  'cancelled_orders',
+  'open_orders',
+  'cancellation_rate',
+  'total_discount',
+  'gross_order_value',
+  'average_order_value',
+  // Only on the totals row: customers are counted over the whole range
+  'unique_users',
+  'new_customers',
+  'returning_customers',
+];
+
+/**
+ * Timeline rows followed by a totals row, for CSV export.
+ */
+const statsToCsv = stats => toCsv(
+  [...stats.timeline, { ...stats, period: 'total' }],
+  STATS_COLUMNS
+);
+
+/**
+ * Redemption analytics for a promo code
+ * GET /api/promo-codes/:id/stats
+ * Query params: from, to, interval (day|week|month), format (json|csv)
+ */
+export const getPromoCodeStats = async (req, res, next) => {
+  try {
+    const { from, to, interval = 'day', format = 'json' } = req.query;
+
+    const data = await promoAnalyticsService.getPromoCodeStats(req.user, req.params.id, { from, to, interval });
+
+    if (format === 'csv') {
+      return sendCsv(res, `promo-code-${data.promo_code.code}-stats.csv`, statsToCsv(data));
+    }
+
+    res.json(successResponse(data, 'Promo code stats retrieved successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Redemption analytics for all codes of a campaign
+ * GET /api/promo-codes/campaigns/:campaign/stats
+ * Query params: from, to, interval (day|week|month), format (json|csv)
+ */
+export const getCampaignStats = async (req, res, next) => {
+  try {
+    const { from, to, interval = 'day', format = 'json' } = req.query;
+
+    const data = await promoAnalyticsService.getCampaignStats(req.user, req.params.campaign, { from, to, interval });
+
+    if (format === 'csv') {
+      return sendCsv(res, `campaign-${data.campaign}-stats.csv`, statsToCsv(data));
+    }
 
-    res.json(successResponse(data, 'Promo code is valid'));
+    res.json(successResponse(data, 'Campaign stats retrieved successfully'));
   } catch (error) {
     next(error);
   }
@@ -0,0 +1,63 @@
+import referralService from '../services/referralService.js';
+import { successResponse } from '../utils/response.js';
+
+/**
+ * App installation id, used by the same-device fraud guard
+ */
+const getDeviceId = req => {
+  const deviceId = req.get('x-device-id') || req.body?.device_id;
+  return deviceId ? String(deviceId).trim().slice(0, 200) : null;
+};
+
+/**
+ * Referral code, stats and rewards of the current user
+ * GET /api/referrals/me
+ * Headers: X-Device-Id (optional)
+ */
+export const getMyReferrals = async (req, res, next) => {
+  try {
+    await referralService.recordDevice(req.user.id, getDeviceId(req));
+
+    const data = await referralService.getMyReferrals(req.user.id);
+
+    res.json(successResponse(data, 'Referrals retrieved successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Enter a friend's referral code, right after signing up
+ * POST /api/referrals/claim
+ * Headers: X-Device-Id (or body device_id)
+ * Body: { code }
+ */
+export const claimReferral = async (req, res, next) => {
+  try {
+    const data = await referralService.claimReferral(req.user, {
+      code: req.body.code,
+      deviceId: getDeviceId(req),
+    });
+
+    res.status(201).json(successResponse(data, 'Referral code applied successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Retry referral rewards that failed when the order was delivered
+ * (admin, or a scheduled job on serverless deployments)
+ * POST /api/referrals/rewards/retry
+ */
+export const retryPendingRewards = async (req, res, next) => {
+  try {
+    const data = await referralService.retryPendingRewards();
+
+    res.json(successResponse(data, 'Pending referral rewards retried', {
+      count: data.length,
+    }));
+  } catch (error) {
+    next(error);
+  }
+};
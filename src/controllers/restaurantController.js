@@ -1,15 +1,57 @@
+import { config } from '../config/app.js';
 import restaurantService from '../services/restaurantService.js';
+import { toPoint } from '../utils/geo.js';
 import { paginationMeta, successResponse } from '../utils/response.js';
 
 export const getRestaurants = async (req, res, next) => {
   try {
     const { category, cuisine, minRating, isFeatured, limit = 20, offset = 0 } = req.query;
+    const { lat, lng, radius_km, sort } = req.query;
+    const openNow = req.query.open_now === 'true';
+
+    if (lat !== undefined || lng !== undefined) {
+      const location = toPoint(lat, lng);
+      const radiusKm = radius_km === undefined ? config.nearby.defaultRadiusKm : parseFloat(radius_km);
+
+      if (!location) {
+        return res.status(400).json({
+          success: false,
+          error: 'lat and lng must be valid coordinates',
+        });
+      }
+      if (!(radiusKm > 0 && radiusKm <= config.nearby.maxRadiusKm)) {
+        return res.status(400).json({
+          success: false,
+          error: `radius_km must be between 0 and ${config.nearby.maxRadiusKm}`,
+        });
+      }
+
+      const { data, count } = await restaurantService.getNearbyRestaurants({
+        location,
+        radiusKm,
+        sort,
+        openNow,
+        category,
+        cuisine,
+        minRating,
+        isFeatured,
+        limit: parseInt(limit),
+        offset: parseInt(offset),
+      });
+
+      return res.json(successResponse(
+        data,
+        'Restaurants retrieved successfully',
+        paginationMeta(count, Math.floor(offset / limit) + 1, parseInt(limit))
+      ));
+    }
 
     const { data, count } = await restaurantService.getRestaurants({
       category,
       cuisine,
       minRating,
       isFeatured,
+      openNow,
       limit: parseInt(limit),
       offset: parseInt(offset),
     });
@@ -0,0 +1,104 @@
+import restaurantOrderService from '../services/restaurantOrderService.js';
+import { paginationMeta, successResponse } from '../utils/response.js';
+
+/**
+ * Restaurant order queue
+ * GET /api/restaurants/:id/orders
+ * Query params: view (incoming|active|completed), status, from, to, limit, offset
+ */
+export const getRestaurantOrders = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { view, status, from, to, limit = 50, offset = 0 } = req.query;
+
+    const { data, count } = await restaurantOrderService.getOrders(id, {
+      view,
+      status,
+      from,
+      to,
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+    });
+
+    res.json(successResponse(
+      data,
+      'Restaurant orders retrieved successfully',
+      paginationMeta(count, Math.floor(offset / limit) + 1, parseInt(limit))
+    ));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Accept an incoming order
+ * POST /api/restaurants/:id/orders/:orderId/accept
+ * Body: { estimated_prep_minutes: number }
+ */
+export const acceptRestaurantOrder = async (req, res, next) => {
+  try {
+    const { id, orderId } = req.params;
+
+    const data = await restaurantOrderService.acceptOrder(id, orderId, {
+      actor: req.user,
+      estimatedPrepMinutes: req.body.estimated_prep_minutes,
+    });
+
+    res.json(successResponse(data, 'Order accepted successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Reject an incoming order
+ * POST /api/restaurants/:id/orders/:orderId/reject
+ * Body: { reason_code: string, reason?: string }
+ */
+export const rejectRestaurantOrder = async (req, res, next) => {
+  try {
+    const { id, orderId } = req.params;
+
+    const data = await restaurantOrderService.rejectOrder(id, orderId, {
+      actor: req.user,
+      reasonCode: req.body.reason_code,
+      reason: req.body.reason,
+    });
+
+    res.json(successResponse(data, 'Order rejected successfully'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Start preparing an accepted order
+ * POST /api/restaurants/:id/orders/:orderId/preparing
+ */
+export const markRestaurantOrderPreparing = async (req, res, next) => {
+  try {
+    const { id, orderId } = req.params;
+
+    const data = await restaurantOrderService.markPreparing(id, orderId, { actor: req.user });
+
+    res.json(successResponse(data, 'Order marked as preparing'));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Mark an order ready for pickup
+ * POST /api/restaurants/:id/orders/:orderId/ready
+ */
+export const markRestaurantOrderReady = async (req, res, next) => {
+  try {
+    const { id, orderId } = req.params;
+
+    const data = await restaurantOrderService.markReady(id, orderId, { actor: req.user });
+
+    res.json(successResponse(data, 'Order marked as ready'));
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,42 @@
+import scheduledOrderService from '../services/scheduledOrderService.js';
+import schedulingService from '../services/schedulingService.js';
+import { toPoint } from '../utils/geo.js';
+import { successResponse } from '../utils/response.js';
+
+/**
+ * Available delivery slots for scheduled orders
+ * GET /api/restaurants/:id/time-slots
+ * Query params: lat, lng (delivery point, optional)
+ */
+export const getTimeSlots = async (req, res, next) => {
+  try {
+    const { lat, lng } = req.query;
+
+    const data = await schedulingService.getTimeSlots(req.params.id, {
+      customerLocation: toPoint(lat, lng),
+    });
+
+    res.json(successResponse(data, 'Time slots retrieved successfully', {
+      count: data.slots.length,
+    }));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Release due scheduled orders to their restaurant
+ * (admin, or a scheduled job on serverless deployments)
+ * POST /api/orders/scheduled/release
+ */
+export const releaseScheduledOrders = async (req, res, next) => {
+  try {
+    const data = await scheduledOrderService.releaseDueOrders();
+
+    res.json(successResponse(data, 'Scheduled orders released', {
+      count: data.length,
+    }));
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,74 @@
+import searchService, { SEARCH_TYPES } from '../services/searchService.js';
+import { SUGGESTION_TYPES } from '../services/suggestionIndex.js';
+import suggestService from '../services/suggestService.js';
+import { successResponse } from '../utils/response.js';
+
+const MAX_LIMIT = 50;
+
+/**
+ * Search restaurants, dishes and cuisines
+ * GET /api/search
+ * Query params: q, type (comma separated: restaurants,dishes,cuisines), limit (per type)
+ */
+export const search = async (req, res, next) => {
+  try {
+    const { q, type, limit = 10 } = req.query;
+
+    const data = await searchService.search({
+      query: q,
+      types: type ? String(type).split(',').map(t => t.trim()) : SEARCH_TYPES,
+      limit: Math.min(Math.max(parseInt(limit) || 10, 1), MAX_LIMIT),
+    });
+
+    res.json(successResponse(data, 'Search completed successfully', {
+      count: data.restaurants.length + data.dishes.length + data.cuisines.length,
+    }));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Typo-tolerant autocomplete
+ * GET /api/search/suggest
+ * Query params: q, type (comma separated: restaurant,dish,cuisine), limit
+ */
+export const suggest = async (req, res, next) => {
+  try {
+    const { q = '', type, limit } = req.query;
+    const types = type ? String(type).split(',').map(t => t.trim()) : SUGGESTION_TYPES;
+
+    if (types.some(t => !SUGGESTION_TYPES.includes(t))) {
+      return res.status(400).json({
+        success: false,
+        error: `type must be one of: ${SUGGESTION_TYPES.join(', ')}`,
+      });
+    }
+
+    const data = await suggestService.suggest(String(q).slice(0, 100), {
+      types,
+      limit: limit ? Math.min(Math.max(parseInt(limit) || 1, 1), MAX_LIMIT) : undefined,
+    });
+
+    res.json(successResponse(data, 'Suggestions retrieved successfully', {
+      query: q,
+      count: data.length,
+    }));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Rebuild the autocomplete index now (admin)
+ * POST /api/search/suggest/rebuild
+ */
+export const rebuildSuggestions = async (req, res, next) => {
+  try {
+    const index = await suggestService.rebuild();
+
+    res.json(successResponse({ entries: index.size }, 'Suggestion index rebuilt'));
+  } catch (error) {
+    next(error);
+  }
+};
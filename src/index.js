@@ -5,16 +5,25 @@ import helmet from 'helmet';
 import { dirname, join, resolve } from 'path';
 import { fileURLToPath } from 'url';
 import { config } from './config/app.js';
+import { authenticate } from './middleware/auth.js';
 import { errorHandler } from './middleware/errorHandler.js';
 import { limiter } from './middleware/rateLimiter.js';
+import dispatchService from './services/dispatchService.js';
+import referralService from './services/referralService.js';
+import scheduledOrderService from './services/scheduledOrderService.js';
 
 // Import routes
 import cuisinesRouter from './routes/cuisines.js';
+import deliveryZonesRouter from './routes/deliveryZones.js';
+import driverRouter from './routes/driver.js';
+import driversRouter from './routes/drivers.js';
 import imagesRouter from './routes/images.js';
 import menuRouter from './routes/menu.js';
 import ordersRouter from './routes/orders.js';
 import promoCodesRouter from './routes/promoCodes.js';
+import referralsRouter from './routes/referrals.js';
 import restaurantsRouter from './routes/restaurants.js';
+import searchRouter from './routes/search.js';
 import adminAuthRouter from './routes/adminAuth.js';
 
 const __filename = fileURLToPath(import.meta.url);
@@ -125,11 +134,19 @@ app.get('/health', (req, res) => {
 
 // API Routes
 app.use('/api/restaurants', restaurantsRouter);
-app.use('/api/orders', ordersRouter);
+app.use('/api/orders', authenticate, ordersRouter);
 app.use('/api/promo-codes', promoCodesRouter);
+app.use('/api/referrals', authenticate, referralsRouter);
 app.use('/api/menu', menuRouter);
 app.use('/api/cuisines', cuisinesRouter);
+app.use('/api/search', searchRouter);
 app.use('/api/images', imagesRouter);
+app.use('/api/delivery-zones', deliveryZonesRouter);
+app.use('/api/drivers', authenticate, driversRouter);
+app.use('/api/driver', authenticate, driverRouter);
+
+// Offer orders to drivers as soon as they start preparing
+dispatchService.listen();
 
 // 404 Handler
 app.use((req, res) => {
@@ -160,6 +177,12 @@ if (process.env.VERCEL !== '1') {
 ╚═══════════════════════════════════════════════╝
     `);
   });
+
+  // Long-running process: dispatch drivers, release scheduled orders and
+  // retry failed referral rewards in the background
+  dispatchService.start();
+  scheduledOrderService.start();
+  referralService.start();
 }
 
 // Export for Vercel serverless function
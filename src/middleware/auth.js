@@ -0,0 +1,75 @@
+import { supabaseAdmin } from '../config/supabase.js';
+import { errorResponse } from '../utils/response.js';
+
+/**
+ * Extract the token from an `Authorization: Bearer <token>` header.
+ */
+function getBearerToken(req) {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+  if (!scheme || scheme.toLowerCase() !== 'bearer' || !token) return null;
+  return token.trim();
+}
+
+/**
+ * Resolve a Supabase access token to the caller's profile.
+ * Returns null when the token is invalid/expired or no profile exists.
+ */
+async function resolveUser(token) {
+  const { data: authData, error: authError } = await supabaseAdmin.auth.getUser(token);
+  if (authError || !authData?.user) return null;
+
+  const { data: profile, error: profileError } = await supabaseAdmin
+    .from('user_profiles')
+    .select('id, phone, role')
+    .eq('id', authData.user.id)
+    .maybeSingle();
+
+  if (profileError) throw profileError;
+  if (!profile?.id) return null;
+
+  return {
+    id: profile.id,
+    phone: profile.phone || authData.user.phone || null,
+    role: String(profile.role || 'customer').toLowerCase(),
+  };
+}
+
+/**
+ * Require a valid Supabase access token.
+ * Populates req.user with { id, phone, role } or responds 401.
+ */
+export const authenticate = async (req, res, next) => {
+  try {
+    const token = getBearerToken(req);
+    if (!token) {
+      return next(errorResponse('Unauthorized', 401, 'UNAUTHORIZED'));
+    }
+
+    const user = await resolveUser(token);
+    if (!user) {
+      return next(errorResponse('Invalid or expired token', 401, 'INVALID_TOKEN'));
+    }
+
+    req.user = user;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Populate req.user when a valid token is sent, for public endpoints that
+ * show more to some callers. Never rejects the request.
+ */
+export const optionalAuthenticate = async (req, res, next) => {
+  try {
+    const token = getBearerToken(req);
+    req.user = token ? await resolveUser(token) : null;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+export default authenticate;
@@ -0,0 +1,58 @@
+import { hasPermission, isAdmin, isRestaurantMember } from '../config/permissions.js';
+import restaurantService from '../services/restaurantService.js';
+import { errorResponse } from '../utils/response.js';
+
+/**
+ * Allow the request only if req.user has one of the given roles.
+ * Must run after the authenticate middleware.
+ */
+export const requireRole = (...roles) => (req, res, next) => {
+  if (!req.user) {
+    return next(errorResponse('Unauthorized', 401, 'UNAUTHORIZED'));
+  }
+  if (!roles.includes(req.user.role)) {
+    return next(errorResponse('Forbidden', 403, 'FORBIDDEN'));
+  }
+  next();
+};
+
+/**
+ * Allow the request only if req.user's role grants the permission
+ * in the PERMISSIONS matrix (see config/permissions.js).
+ */
+export const requirePermission = permission => (req, res, next) => {
+  if (!req.user) {
+    return next(errorResponse('Unauthorized', 401, 'UNAUTHORIZED'));
+  }
+  if (!hasPermission(req.user, permission)) {
+    return next(errorResponse('Forbidden', 403, 'FORBIDDEN'));
+  }
+  next();
+};
+
+/**
+ * Allow the request only for admins and the owner/staff of the restaurant
+ * in req.params[param]. The loaded restaurant is stored on req.restaurant.
+ */
+export const requireRestaurantMember = (param = 'id') => async (req, res, next) => {
+  try {
+    if (!req.user) {
+      return next(errorResponse('Unauthorized', 401, 'UNAUTHORIZED'));
+    }
+
+    const restaurant = await restaurantService.getRestaurantForAccessCheck(req.params[param]);
+    if (!restaurant) {
+      return next(errorResponse('Restaurant not found', 404, 'RESTAURANT_NOT_FOUND'));
+    }
+    if (!isAdmin(req.user) && !isRestaurantMember(req.user, restaurant)) {
+      return next(errorResponse('Forbidden', 403, 'FORBIDDEN'));
+    }
+
+    req.restaurant = restaurant;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+export default requireRole;
@@ -7,6 +7,9 @@ export const errorHandler = (err, req, res, next) => {
   res.status(status).json({
     success: false,
     error: message,
+    // Only surface our own error codes, not database/driver ones
+    ...(status < 500 && err.code && { code: err.code }),
+    ...(status < 500 && err.details && { details: err.details }),
     ...(process.env.NODE_ENV === 'development' && { stack: err.stack }),
   });
 };
@@ -0,0 +1,86 @@
+import { createHash } from 'crypto';
+import idempotencyService from '../services/idempotencyService.js';
+import { errorResponse } from '../utils/response.js';
+
+const MAX_KEY_LENGTH = 255;
+
+function hashRequest(req) {
+  return createHash('sha256')
+    .update(`${req.method} ${req.baseUrl}${req.path}\n${JSON.stringify(req.body ?? null)}`)
+    .digest('hex');
+}
+
+/**
+ * Honour the Idempotency-Key header on mutating endpoints.
+ *
+ * - First request with a key: processed normally, its response is stored.
+ * - Retry with the same key and body: the stored response is replayed.
+ * - Retry while the first one is still running: 409 IDEMPOTENCY_IN_PROGRESS.
+ * - Same key with a different body: 422 IDEMPOTENCY_KEY_REUSED.
+ *
+ * Keys are scoped per user, so this must run after authenticate.
+ * 5xx responses are not stored; the key is released so the client can retry.
+ */
+export const idempotency = async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (!key) return next();
+
+  try {
+    if (!req.user) {
+      return next(errorResponse('Unauthorized', 401, 'UNAUTHORIZED'));
+    }
+    if (key.length > MAX_KEY_LENGTH) {
+      return next(errorResponse(
+        `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters`,
+        400,
+        'VALIDATION_ERROR'
+      ));
+    }
+
+    const userId = req.user.id;
+    const requestHash = hashRequest(req);
+    const { claimed, record } = await idempotencyService.claim(userId, key, requestHash);
+
+    if (!claimed) {
+      if (record.request_hash !== requestHash) {
+        return next(errorResponse(
+          'Idempotency-Key was already used for a different request',
+          422,
+          'IDEMPOTENCY_KEY_REUSED'
+        ));
+      }
+      if (record.status !== 'completed') {
+        res.set('Retry-After', '2');
+        return next(errorResponse(
+          'A request with this Idempotency-Key is still being processed',
+          409,
+          'IDEMPOTENCY_IN_PROGRESS'
+        ));
+      }
+
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(record.response_status).json(record.response_body);
+    }
+
+    // Persist the response before sending it, so a retry arriving right
+    // after the client receives it is guaranteed to be replayed.
+    const originalJson = res.json.bind(res);
+    res.json = body => {
+      const persist = res.statusCode >= 500
+        ? idempotencyService.release(userId, key)
+        : idempotencyService.complete(userId, key, { statusCode: res.statusCode, body });
+
+      persist
+        .catch(error => console.error('idempotency: failed to store response', error))
+        .finally(() => originalJson(body));
+
+      return res;
+    };
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+export default idempotency;
@@ -1,12 +1,11 @@
 import { Router } from 'express';
 import { createClient } from '@supabase/supabase-js';
 
+import { ADMIN_ROLES } from '../config/permissions.js';
 import { supabaseAdmin } from '../config/supabase.js';
 
 const router = Router();
 
-const ADMIN_ROLES = new Set(['admin', 'super_admin']);
-
 function normalizePhone(raw) {
   const s = String(raw || '').trim();
   if (!s.startsWith('+')) return null;
@@ -0,0 +1,23 @@
+import express from 'express';
+import {
+    createDeliveryZone,
+    deactivateDeliveryZone,
+    getDeliveryZones,
+    updateDeliveryZone,
+} from '../controllers/deliveryZoneController.js';
+import { authenticate, optionalAuthenticate } from '../middleware/auth.js';
+import { requirePermission } from '../middleware/authorize.js';
+
+const router = express.Router();
+
+// Public; admins may also list inactive zones
+router.get('/', optionalAuthenticate, getDeliveryZones);
+
+// Ownership of the zone's restaurant is checked in the controller
+router.use(authenticate, requirePermission('delivery_zones:manage'));
+
+router.post('/', createDeliveryZone);
+router.patch('/:id', updateDeliveryZone);
+router.delete('/:id', deactivateDeliveryZone);
+
+export default router;
@@ -0,0 +1,30 @@
+import express from 'express';
+import {
+    acceptOffer,
+    declineOffer,
+    endShift,
+    getMyDriverOrders,
+    getMyDriverProfile,
+    getMyOffers,
+    postDriverLocation,
+    startShift,
+    updateMyDriverProfile,
+} from '../controllers/driverController.js';
+import { requirePermission } from '../middleware/authorize.js';
+
+// Driver-scoped routes: everything acts on the authenticated driver
+const router = express.Router();
+
+router.use(requirePermission('driver:self'));
+
+router.get('/me', getMyDriverProfile);
+router.patch('/me', updateMyDriverProfile);
+router.post('/shift/start', startShift);
+router.post('/shift/end', endShift);
+router.get('/offers', getMyOffers);
+router.post('/offers/:assignmentId/accept', acceptOffer);
+router.post('/offers/:assignmentId/decline', declineOffer);
+router.get('/orders', getMyDriverOrders);
+router.post('/location', postDriverLocation);
+
+export default router;
@@ -0,0 +1,19 @@
+import express from 'express';
+import {
+    createDriver,
+    getDrivers,
+    runDispatchCycle,
+    updateDriver,
+} from '../controllers/driverController.js';
+import { requirePermission } from '../middleware/authorize.js';
+
+const router = express.Router();
+
+router.use(requirePermission('drivers:manage'));
+
+router.get('/', getDrivers);
+router.post('/', createDriver);
+router.patch('/:id', updateDriver);
+router.post('/dispatch/run', runDispatchCycle);
+
+export default router;
@@ -7,6 +7,8 @@ import {
   getImageStats,
   clearImageCache,
 } from '../controllers/imageController.js';
+import { authenticate } from '../middleware/auth.js';
+import { requirePermission } from '../middleware/authorize.js';
 
 const router = express.Router();
 
@@ -24,6 +26,6 @@ router.get('/restaurant/:restaurantId', loadRestaurantMenuImages);
 
 // Cache management
 router.get('/stats', getImageStats);
-router.delete('/cache', clearImageCache);
+router.delete('/cache', authenticate, requirePermission('images:manage_cache'), clearImageCache);
 
 export default router;
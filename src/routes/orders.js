@@ -1,16 +1,32 @@
 import express from 'express';
+import { assignDriver } from '../controllers/driverController.js';
 import {
+    cancelOrder,
     createOrder,
+    deliverOrder,
     getOrderById,
     getOrders,
+    quoteOrder,
+    rejectOrder,
+    streamOrderEvents,
     updateOrderStatus,
 } from '../controllers/orderController.js';
+import { releaseScheduledOrders } from '../controllers/schedulingController.js';
+import { requirePermission } from '../middleware/authorize.js';
+import { idempotency } from '../middleware/idempotency.js';
 
 const router = express.Router();
 
-router.get('/', getOrders);
-router.post('/', createOrder);
-router.get('/:id', getOrderById);
-router.patch('/:id/status', updateOrderStatus);
+router.get('/', requirePermission('orders:read'), getOrders);
+router.post('/', requirePermission('orders:create'), idempotency, createOrder);
+router.post('/quote', requirePermission('orders:create'), quoteOrder);
+router.post('/scheduled/release', requirePermission('orders:release_scheduled'), releaseScheduledOrders);
+router.get('/:id', requirePermission('orders:read'), getOrderById);
+router.get('/:id/events', requirePermission('orders:read'), streamOrderEvents);
+router.patch('/:id/status', requirePermission('orders:update_status'), updateOrderStatus);
+router.post('/:id/cancel', requirePermission('orders:cancel'), cancelOrder);
+router.post('/:id/reject', requirePermission('orders:reject'), rejectOrder);
+router.post('/:id/deliver', requirePermission('orders:deliver'), deliverOrder);
+router.post('/:id/assign-driver', requirePermission('orders:assign_driver'), assignDriver);
 
 export default router;
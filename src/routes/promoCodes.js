@@ -1,12 +1,35 @@
 import express from 'express';
 import {
+    createPromoCode,
+    deactivatePromoCode,
+    exportPromoCodes,
+    generatePromoCodes,
+    getCampaignStats,
+    getManagedPromoCodes,
+    getPromoCodeStats,
     getPromoCodes,
+    updatePromoCode,
     validatePromoCode,
 } from '../controllers/promoCodeController.js';
+import { authenticate } from '../middleware/auth.js';
+import { requirePermission } from '../middleware/authorize.js';
 
 const router = express.Router();
 
 router.get('/', getPromoCodes);
-router.post('/validate', validatePromoCode);
+// Authenticated: per-user limits and first-order codes depend on the caller
+router.post('/validate', authenticate, validatePromoCode);
+
+// Owners are limited to their own restaurants' codes in the service
+router.use(authenticate, requirePermission('promo_codes:manage'));
+
+router.get('/manage', getManagedPromoCodes);
+router.get('/export', exportPromoCodes);
+router.post('/generate', generatePromoCodes);
+router.get('/campaigns/:campaign/stats', getCampaignStats);
+router.get('/:id/stats', getPromoCodeStats);
+router.post('/', createPromoCode);
+router.patch('/:id', updatePromoCode);
+router.post('/:id/deactivate', deactivatePromoCode);
 
 export default router;
@@ -0,0 +1,11 @@
+import express from 'express';
+import { claimReferral, getMyReferrals, retryPendingRewards } from '../controllers/referralController.js';
+import { requirePermission } from '../middleware/authorize.js';
+
+const router = express.Router();
+
+router.get('/me', getMyReferrals);
+router.post('/claim', claimReferral);
+router.post('/rewards/retry', requirePermission('referrals:retry_rewards'), retryPendingRewards);
+
+export default router;
@@ -4,11 +4,55 @@ import {
     getRestaurants,
     searchRestaurants,
 } from '../controllers/restaurantController.js';
+import {
+    addClosure,
+    deleteClosure,
+    getOpeningHours,
+    setOpeningHours,
+    setPause,
+} from '../controllers/openingHoursController.js';
+import {
+    acceptRestaurantOrder,
+    getRestaurantOrders,
+    markRestaurantOrderPreparing,
+    markRestaurantOrderReady,
+    rejectRestaurantOrder,
+} from '../controllers/restaurantOrderController.js';
+import { getTimeSlots } from '../controllers/schedulingController.js';
+import { authenticate } from '../middleware/auth.js';
+import { requirePermission, requireRestaurantMember } from '../middleware/authorize.js';
 
 const router = express.Router();
 
 router.get('/', getRestaurants);
 router.get('/search', searchRestaurants);
 router.get('/:id', getRestaurantById);
+router.get('/:id/opening-hours', getOpeningHours);
+router.get('/:id/time-slots', getTimeSlots);
+
+// Restaurant order queue (owner/staff of the restaurant, or admin)
+const restaurantStaff = [
+  authenticate,
+  requirePermission('restaurant_orders:manage'),
+  requireRestaurantMember('id'),
+];
+
+router.get('/:id/orders', restaurantStaff, getRestaurantOrders);
+router.post('/:id/orders/:orderId/accept', restaurantStaff, acceptRestaurantOrder);
+router.post('/:id/orders/:orderId/reject', restaurantStaff, rejectRestaurantOrder);
+router.post('/:id/orders/:orderId/preparing', restaurantStaff, markRestaurantOrderPreparing);
+router.post('/:id/orders/:orderId/ready', restaurantStaff, markRestaurantOrderReady);
+
+// Opening hours, closures and pause (owner/staff of the restaurant, or admin)
+const restaurantHours = [
+  authenticate,
+  requirePermission('restaurant_hours:manage'),
+  requireRestaurantMember('id'),
+];
+
+router.put('/:id/opening-hours', restaurantHours, setOpeningHours);
+router.post('/:id/closures', restaurantHours, addClosure);
+router.delete('/:id/closures/:closureId', restaurantHours, deleteClosure);
+router.put('/:id/pause', restaurantHours, setPause);
 
 export default router;
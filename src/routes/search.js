@@ -0,0 +1,12 @@
+import express from 'express';
+import { rebuildSuggestions, search, suggest } from '../controllers/searchController.js';
+import { authenticate } from '../middleware/auth.js';
+import { requirePermission } from '../middleware/authorize.js';
+
+const router = express.Router();
+
+router.get('/', search);
+router.get('/suggest', suggest);
+router.post('/suggest/rebuild', authenticate, requirePermission('search:manage'), rebuildSuggestions);
+
+export default router;
@@ -0,0 +1,135 @@
+import { config } from '../config/app.js';
+import { CANCELLATION_REASONS, ORDER_STATUS, REJECTION_REASONS } from '../config/orderStatus.js';
+import { getOrderParties } from '../config/permissions.js';
+import { errorResponse } from '../utils/response.js';
+import driverService from './driverService.js';
+import orderService from './orderService.js';
+import promoCodeService from './promoCodeService.js';
+import refundService from './refundService.js';
+
+// When a user is several parties of an order, act with the strongest one
+const PARTY_PRECEDENCE = ['admin', 'restaurant', 'customer'];
+
+/**
+ * Order cancellation (customer, restaurant, admin) and rejection
+ * (restaurant, admin), with their policy rules and side effects.
+ */
+export class CancellationService {
+  async cancelOrder(orderId, { actor, reasonCode, reason }) {
+    const order = await this._loadOrder(orderId);
+    const party = this._getActingParty(actor, order);
+
+    this._assertReason(CANCELLATION_REASONS[party], reasonCode, reason);
+
+    if (party === 'customer') {
+      await this._assertCustomerMayCancel(order);
+    }
+
+    return this._close(order, ORDER_STATUS.CANCELLED, { actor, party, reasonCode, reason });
+  }
+
+  async rejectOrder(orderId, { actor, reasonCode, reason }) {
+    const order = await this._loadOrder(orderId);
+    const party = this._getActingParty(actor, order);
+
+    if (party === 'customer') {
+      throw errorResponse('Only the restaurant can reject an order', 403, 'FORBIDDEN');
+    }
+
+    this._assertReason(REJECTION_REASONS, reasonCode, reason);
+
+    return this._close(order, ORDER_STATUS.REJECTED, { actor, party, reasonCode, reason });
+  }
+
+  /**
+   * Customers may cancel in config.cancellation.customerStatuses, or
+   * within acceptedGraceMinutes of the restaurant accepting the order.
+   */
+  async _assertCustomerMayCancel(order) {
+    const { customerStatuses, acceptedGraceMinutes } = config.cancellation;
+
+    if (customerStatuses.includes(order.status)) return;
+
+    if (order.status === ORDER_STATUS.ACCEPTED) {
+      const acceptedAt = await orderService.getStatusChangedAt(order.id, ORDER_STATUS.ACCEPTED);
+      const graceMs = acceptedGraceMinutes * 60 * 1000;
+      if (acceptedAt && Date.now() - acceptedAt.getTime() <= graceMs) return;
+    }
+
+    throw errorResponse(
+      'This order can no longer be cancelled, please contact support',
+      409,
+      'CANCELLATION_NOT_ALLOWED'
+    );
+  }
+
+  /**
+   * Close the order. For paid orders the refund request is created in the
+   * same transaction as the status change.
+   */
+  async _close(order, status, { actor, party, reasonCode, reason }) {
+    const data = await orderService.transitionOrder(order, status, {
+      actor,
+      reason: reason ? `${reasonCode}: ${reason}` : reasonCode,
+      changes: {
+        cancelled_at: new Date().toISOString(),
+        cancelled_by: actor.id,
+        cancelled_by_party: party,
+        cancellation_reason_code: reasonCode,
+        cancellation_reason: reason || null,
+      },
+      refund: refundService.isRefundable(order)
+        ? refundService.buildRefund(order, { reason: reasonCode, requestedBy: actor.id })
+        : null,
+    });
+
+    // The order is closed at this point; side effects must not undo that
+    try {
+      await driverService.cancelOpenOffers(order.id);
+    } catch (error) {
+      console.error(`❌ Failed to withdraw driver offers for order ${order.id}:`, error);
+    }
+
+    try {
+      await promoCodeService.releaseRedemption(order.id);
+    } catch (error) {
+      console.error(`❌ Failed to release promo usage for order ${order.id}:`, error);
+    }
+
+    return { refund: null, ...data };
+  }
+
+  async _loadOrder(orderId) {
+    const order = await orderService.getOrderForAccessCheck(orderId);
+    if (!order) {
+      throw errorResponse('Order not found', 404, 'ORDER_NOT_FOUND');
+    }
+    return order;
+  }
+
+  _getActingParty(actor, order) {
+    const parties = getOrderParties(actor, order);
+    const party = PARTY_PRECEDENCE.find(p => parties.includes(p));
+    if (!party) {
+      throw errorResponse('Order not found', 404, 'ORDER_NOT_FOUND');
+    }
+    return party;
+  }
+
+  _assertReason(allowedCodes, reasonCode, reason) {
+    if (!reasonCode || !allowedCodes.includes(reasonCode)) {
+      const error = errorResponse(
+        `reason_code must be one of: ${allowedCodes.join(', ')}`,
+        400,
+        'VALIDATION_ERROR'
+      );
+      error.details = { allowed: allowedCodes };
+      throw error;
+    }
+    if (reasonCode === 'other' && !reason) {
+      throw errorResponse("reason is required when reason_code is 'other'", 400, 'VALIDATION_ERROR');
+    }
+  }
+}
+
+export default new CancellationService();
@@ -0,0 +1,234 @@
+import { timingSafeEqual } from 'crypto';
+import { config } from '../config/app.js';
+import { ORDER_STATUS } from '../config/orderStatus.js';
+import { supabase, supabaseAdmin } from '../config/supabase.js';
+import { toPoint } from '../utils/geo.js';
+import { errorResponse } from '../utils/response.js';
+import orderService from './orderService.js';
+
+const IMAGE_TYPES = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+};
+const MAX_IMAGE_BYTES = 5 * 1024 * 1024;
+
+/**
+ * Proof of delivery. The driver moves an order to `delivered` by submitting
+ * the customer's delivery PIN, or a photo / signature when the policy
+ * allows it. Cash-on-delivery orders also record the amount collected.
+ * Proofs are kept in delivery_proofs; images in a private storage bucket.
+ */
+export class DeliveryProofService {
+  async confirmDelivery(orderId, { actor, method, pin, image, contentType, cashCollected, lat, lng }) {
+    const policy = config.proofOfDelivery;
+
+    if (!policy.allowedMethods.includes(method)) {
+      throw errorResponse(
+        `method must be one of: ${policy.allowedMethods.join(', ')}`,
+        400,
+        'VALIDATION_ERROR'
+      );
+    }
+
+    const order = await orderService.getOrderForAccessCheck(orderId);
+    if (!order || order.driver_id !== actor.id) {
+      throw errorResponse('Order not found', 404, 'ORDER_NOT_FOUND');
+    }
+    if (order.status !== ORDER_STATUS.PICKED_UP) {
+      throw errorResponse('Only picked up orders can be delivered', 409, 'INVALID_STATUS_TRANSITION');
+    }
+
+    const isCash = (order.payment_method || 'cash') === 'cash';
+    const location = toPoint(lat, lng);
+    const cash = this._parseCash(cashCollected, isCash && policy.requireCashAmountForCod);
+
+    const proof = {
+      order_id: order.id,
+      driver_id: actor.id,
+      method,
+      pin_verified: false,
+      photo_path: null,
+      signature_path: null,
+      cash_collected: isCash ? cash : null,
+      cash_difference: isCash && cash !== null ? Math.round((cash - Number(order.total)) * 100) / 100 : null,
+      lat: location?.lat ?? null,
+      lng: location?.lng ?? null,
+    };
+
+    if (method === 'pin') {
+      await this._verifyPin(order, pin);
+      proof.pin_verified = true;
+    } else {
+      const path = await this._uploadImage(order.id, method, image, contentType);
+      proof[method === 'photo' ? 'photo_path' : 'signature_path'] = path;
+    }
+
+    const { error } = await supabase
+      .from('delivery_proofs')
+      .upsert(proof);
+
+    if (error) {
+      await this._removeImage(proof.photo_path || proof.signature_path);
+      throw error;
+    }
+
+    try {
+      return await orderService.transitionOrder(order, ORDER_STATUS.DELIVERED, {
+        actor,
+        reason: `proof: ${method}`,
+        changes: { delivered_at: new Date().toISOString() },
+      });
+    } catch (transitionError) {
+      // No proof may remain for an order that was not delivered
+      await this._discardProof(proof);
+      throw transitionError;
+    }
+  }
+
+  /**
+   * Proof of an order, with short-lived signed URLs for images (admin view).
+   */
+  async getProof(orderId) {
+    const { data, error } = await supabase
+      .from('delivery_proofs')
+      .select('*')
+      .eq('order_id', orderId)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!data) return null;
+
+    const sign = async path => {
+      if (!path) return null;
+      const { data: signed, error: signError } = await supabaseAdmin.storage
+        .from(config.proofOfDelivery.bucket)
+        .createSignedUrl(path, config.proofOfDelivery.signedUrlSeconds);
+      if (signError) throw signError;
+      return signed.signedUrl;
+    };
+
+    return {
+      ...data,
+      photo_url: await sign(data.photo_path),
+      signature_url: await sign(data.signature_path),
+    };
+  }
+
+  /**
+   * Compare the submitted PIN in constant time. Every attempt is counted on
+   * the order before comparing; past maxPinAttempts only photo/signature
+   * proofs remain.
+   */
+  async _verifyPin(order, pin) {
+    const { maxPinAttempts } = config.proofOfDelivery;
+    const attempts = order.delivery_pin_attempts || 0;
+
+    if (attempts >= maxPinAttempts) {
+      throw errorResponse(
+        'Too many wrong PINs, submit a photo or signature instead',
+        429,
+        'PIN_ATTEMPTS_EXCEEDED'
+      );
+    }
+
+    // Guard on the count we read so parallel attempts cannot share one slot
+    const { data: counted, error: countError } = await supabase
+      .from('orders')
+      .update({ delivery_pin_attempts: attempts + 1 })
+      .eq('id', order.id)
+      .eq('delivery_pin_attempts', attempts)
+      .select('id')
+      .maybeSingle();
+
+    if (countError) throw countError;
+    if (!counted) {
+      throw errorResponse('Another PIN attempt is in progress, please retry', 409, 'PIN_ATTEMPT_CONFLICT');
+    }
+
+    const expected = Buffer.from(String(order.delivery_pin || ''));
+    const given = Buffer.from(String(pin || ''));
+    const matches = expected.length > 0
+      && expected.length === given.length
+      && timingSafeEqual(expected, given);
+
+    if (!matches) {
+      const error = errorResponse('Wrong delivery PIN', 403, 'INVALID_DELIVERY_PIN');
+      error.details = { attempts_left: Math.max(maxPinAttempts - attempts - 1, 0) };
+      throw error;
+    }
+  }
+
+  /**
+   * Store a base64 encoded photo/signature in the proofs bucket.
+   */
+  async _uploadImage(orderId, kind, image, contentType) {
+    const extension = IMAGE_TYPES[contentType];
+    if (!image || !extension) {
+      throw errorResponse(
+        `image (base64) and content_type (${Object.keys(IMAGE_TYPES).join(', ')}) are required`,
+        400,
+        'VALIDATION_ERROR'
+      );
+    }
+
+    const buffer = Buffer.from(String(image).replace(/^data:[^;]+;base64,/, ''), 'base64');
+    if (buffer.length === 0 || buffer.length > MAX_IMAGE_BYTES) {
+      throw errorResponse('image must be a non-empty image of at most 5 MB', 400, 'VALIDATION_ERROR');
+    }
+
+    const path = `${orderId}/${kind}-${Date.now()}.${extension}`;
+    const { error } = await supabaseAdmin.storage
+      .from(config.proofOfDelivery.bucket)
+      .upload(path, buffer, { contentType, upsert: false });
+
+    if (error) throw error;
+
+    return path;
+  }
+
+  async _discardProof(proof) {
+    try {
+      const { error } = await supabase
+        .from('delivery_proofs')
+        .delete()
+        .eq('order_id', proof.order_id);
+
+      if (error) throw error;
+      await this._removeImage(proof.photo_path || proof.signature_path);
+    } catch (error) {
+      console.error(`❌ Failed to discard delivery proof of order ${proof.order_id}:`, error);
+    }
+  }
+
+  async _removeImage(path) {
+    if (!path) return;
+
+    const { error } = await supabaseAdmin.storage
+      .from(config.proofOfDelivery.bucket)
+      .remove([path]);
+
+    if (error) console.error(`❌ Failed to remove proof image ${path}:`, error);
+  }
+
+  _parseCash(value, required) {
+    if (value === undefined || value === null || value === '') {
+      if (required) {
+        throw errorResponse(
+          'cash_collected is required for cash on delivery orders',
+          400,
+          'VALIDATION_ERROR'
+        );
+      }
+      return null;
+    }
+
+    const amount = Number(value);
+    if (!Number.isFinite(amount) || amount < 0) {
+      throw errorResponse('cash_collected must be a positive amount', 400, 'VALIDATION_ERROR');
+    }
+    return Math.round(amount * 100) / 100;
+  }
+}
+
+export default new DeliveryProofService();
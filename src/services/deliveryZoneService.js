@@ -0,0 +1,273 @@
+import { supabase } from '../config/supabase.js';
+import { haversineKm, isPointInPolygon, toPoint } from '../utils/geo.js';
+import { roundMoney } from '../utils/money.js';
+import { errorResponse } from '../utils/response.js';
+
+export const ZONE_TYPES = ['radius', 'polygon'];
+
+const roundKm = value => Math.round(value * 100) / 100;
+
+/**
+ * Delivery zones and the delivery fee engine.
+ *
+ * A zone belongs to a restaurant (restaurant_id) or to a whole wilaya
+ * (wilaya, restaurant_id null) and is either a radius ring around the
+ * restaurant (min_radius_km..max_radius_km) or a polygon of [lat, lng]
+ * points. fee = base_fee + per_km_fee * distance, waived above
+ * free_delivery_threshold; min_order_amount is enforced on the subtotal.
+ */
+export class DeliveryZoneService {
+  async getZones({ restaurantId, wilaya, includeInactive = false } = {}) {
+    let query = supabase
+      .from('delivery_zones')
+      .select('*')
+      .order('priority', { ascending: false })
+      .order('created_at', { ascending: true });
+
+    if (restaurantId) query = query.eq('restaurant_id', restaurantId);
+    if (wilaya) query = query.eq('wilaya', wilaya);
+    if (!includeInactive) query = query.eq('is_active', true);
+
+    const { data, error } = await query;
+
+    if (error) throw error;
+
+    return data;
+  }
+
+  async getZoneById(id) {
+    const { data, error } = await supabase
+      .from('delivery_zones')
+      .select('*')
+      .eq('id', id)
+      .maybeSingle();
+
+    if (error) throw error;
+
+    return data;
+  }
+
+  /**
+   * Active zones that apply to a restaurant: its own zones, plus the zones
+   * of its wilaya.
+   */
+  async getZonesForRestaurant(restaurant) {
+    const own = await this.getZones({ restaurantId: restaurant.id });
+    const city = restaurant.wilaya
+      ? (await this.getZones({ wilaya: restaurant.wilaya })).filter(zone => !zone.restaurant_id)
+      : [];
+    return [...own, ...city];
+  }
+
+  /**
+   * Same as getZonesForRestaurant for many restaurants in two queries.
+   * Returns a Map of restaurant id -> zones.
+   */
+  async getZonesForRestaurants(restaurants) {
+    const byRestaurant = new Map(restaurants.map(restaurant => [restaurant.id, []]));
+    if (restaurants.length === 0) return byRestaurant;
+
+    const wilayas = [...new Set(restaurants.map(r => r.wilaya).filter(Boolean))];
+
+    const [own, city] = await Promise.all([
+      supabase
+        .from('delivery_zones')
+        .select('*')
+        .in('restaurant_id', restaurants.map(r => r.id))
+        .eq('is_active', true),
+      wilayas.length > 0
+        ? supabase
+          .from('delivery_zones')
+          .select('*')
+          .in('wilaya', wilayas)
+          .is('restaurant_id', null)
+          .eq('is_active', true)
+        : { data: [], error: null },
+    ]);
+
+    if (own.error) throw own.error;
+    if (city.error) throw city.error;
+
+    for (const restaurant of restaurants) {
+      byRestaurant.set(restaurant.id, [
+        ...own.data.filter(zone => zone.restaurant_id === restaurant.id),
+        ...city.data.filter(zone => restaurant.wilaya && zone.wilaya === restaurant.wilaya),
+      ]);
+    }
+
+    return byRestaurant;
+  }
+
+  /**
+   * Delivery fee for a restaurant -> customer trip.
+   * Returns { fee, zone, distanceKm, freeDelivery, minOrderAmount } or throws
+   * OUTSIDE_DELIVERY_AREA / DELIVERY_LOCATION_REQUIRED. Returns null when
+   * neither the restaurant nor its wilaya define zones.
+   */
+  async quoteDelivery({ restaurant, customerLocation, subtotal }) {
+    const zones = await this.getZonesForRestaurant(restaurant);
+    if (zones.length === 0) return null;
+
+    return this.computeFee({
+      zones,
+      restaurantLocation: toPoint(restaurant.latitude, restaurant.longitude),
+      customerLocation,
+      subtotal,
+    });
+  }
+
+  /**
+   * Pure fee computation over already loaded zones. Restaurant zones win
+   * over wilaya zones, then higher priority, then the cheaper fee.
+   */
+  computeFee({ zones, restaurantLocation, customerLocation, subtotal }) {
+    if (!customerLocation) {
+      throw errorResponse(
+        'Delivery coordinates are required for this restaurant',
+        400,
+        'DELIVERY_LOCATION_REQUIRED'
+      );
+    }
+
+    const distanceKm = restaurantLocation ? haversineKm(restaurantLocation, customerLocation) : null;
+
+    const matches = zones
+      .filter(zone => this._contains(zone, restaurantLocation, customerLocation, distanceKm))
+      .map(zone => ({ zone, fee: this._zoneFee(zone, distanceKm) }))
+      .sort((a, b) => Number(Boolean(b.zone.restaurant_id)) - Number(Boolean(a.zone.restaurant_id))
+        || (b.zone.priority || 0) - (a.zone.priority || 0)
+        || a.fee - b.fee);
+
+    if (matches.length === 0) {
+      throw errorResponse(
+        'This address is outside the delivery area of the restaurant',
+        422,
+        'OUTSIDE_DELIVERY_AREA'
+      );
+    }
+
+    const { zone, fee } = matches[0];
+    const threshold = zone.free_delivery_threshold;
+    const freeDelivery = threshold !== null && threshold !== undefined && subtotal >= Number(threshold);
+
+    return {
+      fee: freeDelivery ? 0 : fee,
+      zone,
+      distanceKm: distanceKm === null ? null : roundKm(distanceKm),
+      freeDelivery,
+      minOrderAmount: Number(zone.min_order_amount) || 0,
+    };
+  }
+
+  async createZone(input) {
+    const zone = this._validateZone(input);
+
+    const { data, error } = await supabase
+      .from('delivery_zones')
+      .insert(zone)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    return data;
+  }
+
+  async updateZone(id, input) {
+    const current = await this.getZoneById(id);
+    if (!current) {
+      throw errorResponse('Delivery zone not found', 404, 'ZONE_NOT_FOUND');
+    }
+
+    // Ownership fields cannot be moved to another restaurant/wilaya
+    const { restaurant_id, wilaya, ...changes } = input;
+    const zone = this._validateZone({ ...current, ...changes });
+
+    const { data, error } = await supabase
+      .from('delivery_zones')
+      .update({ ...zone, updated_at: new Date().toISOString() })
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    return data;
+  }
+
+  _contains(zone, restaurantLocation, customerLocation, distanceKm) {
+    if (zone.type === 'polygon') {
+      return Array.isArray(zone.polygon) && isPointInPolygon(customerLocation, zone.polygon);
+    }
+
+    if (distanceKm === null) return false;
+
+    // Radius rings are centred on the restaurant unless the zone has its own centre
+    const center = toPoint(zone.center_lat, zone.center_lng);
+    const distance = center ? haversineKm(center, customerLocation) : distanceKm;
+    return distance >= (Number(zone.min_radius_km) || 0) && distance <= Number(zone.max_radius_km);
+  }
+
+  _zoneFee(zone, distanceKm) {
+    const perKm = Number(zone.per_km_fee) || 0;
+    return roundMoney((Number(zone.base_fee) || 0) + perKm * (distanceKm || 0));
+  }
+
+  _validateZone(input) {
+    const errors = [];
+    const zone = {
+      restaurant_id: input.restaurant_id || null,
+      wilaya: input.wilaya || null,
+      name: input.name,
+      type: input.type,
+      center_lat: input.center_lat ?? null,
+      center_lng: input.center_lng ?? null,
+      min_radius_km: input.min_radius_km ?? 0,
+      max_radius_km: input.max_radius_km ?? null,
+      polygon: input.polygon ?? null,
+      base_fee: input.base_fee ?? 0,
+      per_km_fee: input.per_km_fee ?? 0,
+      min_order_amount: input.min_order_amount ?? 0,
+      free_delivery_threshold: input.free_delivery_threshold ?? null,
+      priority: input.priority ?? 0,
+      is_active: input.is_active ?? true,
+    };
+
+    if (!zone.restaurant_id && !zone.wilaya) errors.push('restaurant_id or wilaya is required');
+    if (!zone.name) errors.push('name is required');
+    if (!ZONE_TYPES.includes(zone.type)) errors.push(`type must be one of: ${ZONE_TYPES.join(', ')}`);
+
+    if (zone.type === 'radius') {
+      if (!(Number(zone.max_radius_km) > 0)) errors.push('max_radius_km must be greater than 0');
+      if (Number(zone.min_radius_km) < 0 || Number(zone.min_radius_km) >= Number(zone.max_radius_km)) {
+        errors.push('min_radius_km must be between 0 and max_radius_km');
+      }
+      if ((zone.center_lat !== null || zone.center_lng !== null) && !toPoint(zone.center_lat, zone.center_lng)) {
+        errors.push('center_lat/center_lng must be valid coordinates');
+      }
+    }
+    if (zone.type === 'polygon') {
+      const valid = Array.isArray(zone.polygon)
+        && zone.polygon.length >= 3
+        && zone.polygon.every(vertex => Array.isArray(vertex) && toPoint(vertex[0], vertex[1]));
+      if (!valid) errors.push('polygon must be a list of at least 3 [lat, lng] points');
+    }
+
+    for (const field of ['base_fee', 'per_km_fee', 'min_order_amount']) {
+      if (!(Number(zone[field]) >= 0)) errors.push(`${field} must be a positive amount`);
+    }
+    if (zone.free_delivery_threshold !== null && !(Number(zone.free_delivery_threshold) >= 0)) {
+      errors.push('free_delivery_threshold must be a positive amount');
+    }
+
+    if (errors.length > 0) {
+      const error = errorResponse(errors[0], 400, 'VALIDATION_ERROR');
+      error.details = { errors };
+      throw error;
+    }
+
+    return zone;
+  }
+}
+
+export default new DeliveryZoneService();
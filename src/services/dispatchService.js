@@ -0,0 +1,175 @@
+import { config } from '../config/app.js';
+import { haversineKm } from '../utils/geo.js';
+import { DISPATCHABLE_STATUSES, SupabaseDispatchStore } from './dispatchStores.js';
+import orderEventBus from './orderEventBus.js';
+
+/**
+ * Automatic driver dispatch.
+ *
+ * Each call to dispatchOrder() is one round: expired offers are closed, and
+ * if no offer is still open the best-ranked drivers not offered the order
+ * recently get a new expiring offer. Candidates are looked for in the
+ * smallest radius of config.dispatch.radiiKm first, falling back to the
+ * broader ones. Ranking only depends on the store contents and the injected
+ * clock, so a round is deterministic.
+ */
+export class DispatchService {
+  constructor({
+    store = new SupabaseDispatchStore(),
+    now = () => Date.now(),
+    options = { ...config.dispatch, offerTimeoutSeconds: config.drivers.offerTimeoutSeconds },
+  } = {}) {
+    this.store = store;
+    this.now = now;
+    this.options = options;
+    this.timer = null;
+    this.unsubscribe = null;
+  }
+
+  /**
+   * Score drivers for a pickup point; lower is better.
+   * score = w.distance * distance/radius + w.load * load/maxLoad + w.acceptance * (1 - rate)
+   * Ties are broken by distance, then driver id.
+   */
+  rankDrivers(drivers, origin, radiusKm, { excludeIds = new Set() } = {}) {
+    const { weights, maxActiveOrders, locationMaxAgeSeconds } = this.options;
+    const now = this.now();
+
+    return drivers
+      .filter(driver => !excludeIds.has(driver.id))
+      .filter(driver => driver.location)
+      // No timestamp means the position cannot be trusted to be current
+      .filter(driver => driver.locationUpdatedAt
+        && now - driver.locationUpdatedAt <= locationMaxAgeSeconds * 1000)
+      .filter(driver => driver.activeOrders < maxActiveOrders)
+      .map(driver => ({ driver, distanceKm: haversineKm(origin, driver.location) }))
+      .filter(({ distanceKm }) => distanceKm <= radiusKm)
+      .map(candidate => ({
+        ...candidate,
+        score: weights.distance * (candidate.distanceKm / radiusKm)
+          + weights.load * (candidate.driver.activeOrders / maxActiveOrders)
+          + weights.acceptance * (1 - candidate.driver.acceptanceRate),
+      }))
+      .sort((a, b) => a.score - b.score
+        || a.distanceKm - b.distanceKm
+        || String(a.driver.id).localeCompare(String(b.driver.id)));
+  }
+
+  /**
+   * Run one dispatch round for an order.
+   * Returns { status, radiusKm?, offers? } where status is one of
+   * not_dispatchable, assigned, offer_pending, offered, no_drivers.
+   */
+  async dispatchOrder(orderId) {
+    const order = await this.store.getOrder(orderId);
+    if (!order || !DISPATCHABLE_STATUSES.includes(order.status) || !order.restaurantLocation) {
+      return { orderId, status: 'not_dispatchable' };
+    }
+    if (order.driverId) {
+      return { orderId, status: 'assigned' };
+    }
+
+    const now = this.now();
+    await this.store.expireOffers(orderId, now);
+
+    const offers = await this.store.getOffers(orderId);
+    if (offers.some(offer => offer.status === 'accepted')) {
+      return { orderId, status: 'assigned' };
+    }
+    if (offers.some(offer => offer.status === 'offered' && offer.expiresAt > now)) {
+      return { orderId, status: 'offer_pending' };
+    }
+
+    // Drivers who declined or let an offer lapse get another chance after a
+    // cool-down, so an order does not stay undispatched once all were asked
+    const cooldownMs = this.options.reofferCooldownSeconds * 1000;
+    const excludeIds = new Set(offers
+      .filter(offer => now - offer.offeredAt < cooldownMs)
+      .map(offer => offer.driverId));
+    const drivers = await this.store.getCandidateDrivers();
+
+    for (const radiusKm of this.options.radiiKm) {
+      const ranked = this.rankDrivers(drivers, order.restaurantLocation, radiusKm, { excludeIds });
+      if (ranked.length === 0) continue;
+
+      const chosen = ranked.slice(0, this.options.offersPerRound);
+      const expiresAt = now + this.options.offerTimeoutSeconds * 1000;
+
+      for (const { driver } of chosen) {
+        await this.store.createOffer({ orderId, driverId: driver.id, offeredAt: now, expiresAt });
+      }
+
+      return {
+        orderId,
+        status: 'offered',
+        radiusKm,
+        offers: chosen.map(({ driver, distanceKm, score }) => ({
+          driverId: driver.id,
+          distanceKm: Math.round(distanceKm * 100) / 100,
+          score: Math.round(score * 1000) / 1000,
+          expiresAt,
+        })),
+      };
+    }
+
+    return { orderId, status: 'no_drivers' };
+  }
+
+  /**
+   * One dispatch round for every order still waiting for a driver.
+   */
+  async runCycle() {
+    const orders = await this.store.getOrdersAwaitingDriver();
+    const results = [];
+
+    for (const order of orders) {
+      try {
+        results.push(await this.dispatchOrder(order.id));
+      } catch (error) {
+        console.error(`❌ Dispatch failed for order ${order.id}:`, error);
+        results.push({ orderId: order.id, status: 'error' });
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Dispatch as soon as an order enters a dispatchable status.
+   */
+  listen() {
+    if (this.unsubscribe) return;
+
+    this.unsubscribe = orderEventBus.subscribeAll(event => {
+      if (event.type === 'status' && DISPATCHABLE_STATUSES.includes(event.data.status)) {
+        this.dispatchOrder(event.data.order_id).catch(error =>
+          console.error(`❌ Dispatch failed for order ${event.data.order_id}:`, error)
+        );
+      }
+    });
+  }
+
+  /**
+   * Run a round periodically so expired offers move on to the next drivers.
+   * Only for long-running processes; serverless deployments call
+   * POST /api/drivers/dispatch/run from a scheduled job instead.
+   */
+  start(intervalMs = this.options.cycleIntervalMs) {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => {
+      this.runCycle().catch(error => console.error('❌ Dispatch cycle failed:', error));
+    }, intervalMs);
+    this.timer.unref?.();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    this.unsubscribe?.();
+    this.unsubscribe = null;
+  }
+}
+
+// Export singleton instance
+export default new DispatchService();
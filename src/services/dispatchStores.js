@@ -0,0 +1,220 @@
+import { ORDER_STATUS } from '../config/orderStatus.js';
+import { supabase } from '../config/supabase.js';
+import { toPoint } from '../utils/geo.js';
+
+// Orders that occupy a driver
+export const ACTIVE_DELIVERY_STATUSES = [
+  ORDER_STATUS.ACCEPTED,
+  ORDER_STATUS.PREPARING,
+  ORDER_STATUS.READY,
+  ORDER_STATUS.PICKED_UP,
+];
+
+// Statuses in which an order looks for a driver
+export const DISPATCHABLE_STATUSES = [ORDER_STATUS.PREPARING, ORDER_STATUS.READY];
+
+// Offer history window used for acceptance rates
+const ACCEPTANCE_WINDOW_DAYS = 14;
+
+/**
+ * Data access for DispatchService. A store returns plain objects:
+ *
+ * - candidate driver: { id, vehicleType, location: { lat, lng }, locationUpdatedAt,
+ *   activeOrders, acceptanceRate }
+ * - order: { id, status, driverId, restaurantLocation: { lat, lng } }
+ * - offer: { orderId, driverId, status, expiresAt }
+ */
+export class SupabaseDispatchStore {
+  async getOrder(orderId) {
+    const { data, error } = await supabase
+      .from('orders')
+      .select('id, status, driver_id, restaurant:restaurants(id, latitude, longitude)')
+      .eq('id', orderId)
+      .maybeSingle();
+
+    if (error) throw error;
+
+    return data ? this._toOrder(data) : null;
+  }
+
+  async getOrdersAwaitingDriver() {
+    const { data, error } = await supabase
+      .from('orders')
+      .select('id, status, driver_id, restaurant:restaurants(id, latitude, longitude)')
+      .in('status', DISPATCHABLE_STATUSES)
+      .is('driver_id', null)
+      .order('created_at', { ascending: true });
+
+    if (error) throw error;
+
+    return data.map(order => this._toOrder(order));
+  }
+
+  async getCandidateDrivers() {
+    const { data: drivers, error } = await supabase
+      .from('drivers')
+      .select('user_id, vehicle_type, location:driver_locations(lat, lng, updated_at)')
+      .eq('is_online', true)
+      .eq('is_active', true);
+
+    if (error) throw error;
+    if (drivers.length === 0) return [];
+
+    const ids = drivers.map(driver => driver.user_id);
+    const [loads, acceptance] = await Promise.all([
+      this._getActiveOrderCounts(ids),
+      this._getAcceptanceRates(ids),
+    ]);
+
+    return drivers.map(driver => {
+      const location = Array.isArray(driver.location) ? driver.location[0] : driver.location;
+      return {
+        id: driver.user_id,
+        vehicleType: driver.vehicle_type,
+        location: location ? toPoint(location.lat, location.lng) : null,
+        locationUpdatedAt: location?.updated_at ? new Date(location.updated_at).getTime() : null,
+        activeOrders: loads.get(driver.user_id) || 0,
+        acceptanceRate: acceptance.get(driver.user_id) ?? 1,
+      };
+    });
+  }
+
+  async getOffers(orderId) {
+    const { data, error } = await supabase
+      .from('order_assignments')
+      .select('order_id, driver_id, status, offered_at, expires_at')
+      .eq('order_id', orderId);
+
+    if (error) throw error;
+
+    return data.map(offer => ({
+      orderId: offer.order_id,
+      driverId: offer.driver_id,
+      status: offer.status,
+      offeredAt: new Date(offer.offered_at).getTime(),
+      expiresAt: new Date(offer.expires_at).getTime(),
+    }));
+  }
+
+  async createOffer({ orderId, driverId, offeredAt, expiresAt }) {
+    const { error } = await supabase
+      .from('order_assignments')
+      .insert({
+        order_id: orderId,
+        driver_id: driverId,
+        status: 'offered',
+        offered_at: new Date(offeredAt).toISOString(),
+        expires_at: new Date(expiresAt).toISOString(),
+      });
+
+    if (error) throw error;
+  }
+
+  async expireOffers(orderId, now) {
+    const { error } = await supabase
+      .from('order_assignments')
+      .update({ status: 'expired' })
+      .eq('order_id', orderId)
+      .eq('status', 'offered')
+      .lte('expires_at', new Date(now).toISOString());
+
+    if (error) throw error;
+  }
+
+  async _getActiveOrderCounts(driverIds) {
+    const { data, error } = await supabase
+      .from('orders')
+      .select('driver_id')
+      .in('driver_id', driverIds)
+      .in('status', ACTIVE_DELIVERY_STATUSES);
+
+    if (error) throw error;
+
+    const counts = new Map();
+    for (const order of data) {
+      counts.set(order.driver_id, (counts.get(order.driver_id) || 0) + 1);
+    }
+    return counts;
+  }
+
+  async _getAcceptanceRates(driverIds) {
+    const since = new Date(Date.now() - ACCEPTANCE_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+
+    const { data, error } = await supabase
+      .from('order_assignments')
+      .select('driver_id, status')
+      .in('driver_id', driverIds)
+      .in('status', ['accepted', 'declined', 'expired'])
+      .gte('offered_at', since.toISOString());
+
+    if (error) throw error;
+
+    const stats = new Map();
+    for (const offer of data) {
+      const entry = stats.get(offer.driver_id) || { accepted: 0, total: 0 };
+      entry.total++;
+      if (offer.status === 'accepted') entry.accepted++;
+      stats.set(offer.driver_id, entry);
+    }
+
+    return new Map([...stats].map(([id, { accepted, total }]) => [id, accepted / total]));
+  }
+
+  _toOrder(order) {
+    return {
+      id: order.id,
+      status: order.status,
+      driverId: order.driver_id,
+      restaurantLocation: toPoint(order.restaurant?.latitude, order.restaurant?.longitude),
+    };
+  }
+}
+
+/**
+ * In-memory store with the same interface, for local runs and tests.
+ */
+export class InMemoryDispatchStore {
+  constructor({ drivers = [], orders = [], offers = [] } = {}) {
+    this.drivers = new Map(drivers.map(driver => [driver.id, { ...driver }]));
+    this.orders = new Map(orders.map(order => [order.id, { ...order }]));
+    this.offers = offers.map(offer => ({ ...offer }));
+  }
+
+  setDriver(driver) {
+    this.drivers.set(driver.id, { ...this.drivers.get(driver.id), ...driver });
+  }
+
+  setOrder(order) {
+    this.orders.set(order.id, { ...this.orders.get(order.id), ...order });
+  }
+
+  async getOrder(orderId) {
+    return this.orders.get(orderId) || null;
+  }
+
+  async getOrdersAwaitingDriver() {
+    return [...this.orders.values()].filter(
+      order => DISPATCHABLE_STATUSES.includes(order.status) && !order.driverId
+    );
+  }
+
+  async getCandidateDrivers() {
+    return [...this.drivers.values()];
+  }
+
+  async getOffers(orderId) {
+    return this.offers.filter(offer => offer.orderId === orderId);
+  }
+
+  async createOffer({ orderId, driverId, offeredAt, expiresAt }) {
+    this.offers.push({ orderId, driverId, status: 'offered', offeredAt, expiresAt });
+  }
+
+  async expireOffers(orderId, now) {
+    for (const offer of this.offers) {
+      if (offer.orderId === orderId && offer.status === 'offered' && offer.expiresAt <= now) {
+        offer.status = 'expired';
+      }
+    }
+  }
+}
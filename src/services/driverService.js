@@ -0,0 +1,420 @@
+import { config } from '../config/app.js';
+import { ORDER_STATUS } from '../config/orderStatus.js';
+import { supabase } from '../config/supabase.js';
+import { errorResponse } from '../utils/response.js';
+import dispatchService from './dispatchService.js';
+import { ACTIVE_DELIVERY_STATUSES } from './dispatchStores.js';
+import orderService, { hideDeliveryPin } from './orderService.js';
+
+export const VEHICLE_TYPES = ['bicycle', 'scooter', 'motorcycle', 'car'];
+
+// Orders a driver can be offered
+export const ASSIGNABLE_STATUSES = [ORDER_STATUS.PREPARING, ORDER_STATUS.READY];
+
+const PAST_STATUSES = [ORDER_STATUS.DELIVERED, ORDER_STATUS.CANCELLED, ORDER_STATUS.REJECTED];
+
+/**
+ * Delivery drivers: profiles, online/offline shifts and order offers.
+ *
+ * An assignment (order_assignments row) is an offer of an order to a
+ * driver which expires after config.drivers.offerTimeoutSeconds. When the
+ * driver accepts, orders.driver_id is set and the driver becomes a party
+ * of the order (see getOrderParties).
+ */
+export class DriverService {
+  async getDrivers({ online, vehicleType, limit = 50, offset = 0 }) {
+    let query = supabase
+      .from('drivers')
+      .select('*, profile:user_profiles(id, phone)', { count: 'exact' })
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (online !== undefined) {
+      query = query.eq('is_online', online === 'true' || online === true);
+    }
+    if (vehicleType) {
+      query = query.eq('vehicle_type', vehicleType);
+    }
+
+    const { data, error, count } = await query;
+
+    if (error) throw error;
+
+    return { data, count };
+  }
+
+  async getDriver(driverId) {
+    const { data, error } = await supabase
+      .from('drivers')
+      .select('*')
+      .eq('user_id', driverId)
+      .maybeSingle();
+
+    if (error) throw error;
+
+    return data;
+  }
+
+  async createDriver({ userId, vehicleType, vehiclePlate }) {
+    if (!userId) {
+      throw errorResponse('user_id is required', 400, 'VALIDATION_ERROR');
+    }
+    this._assertVehicleType(vehicleType);
+
+    const { data, error } = await supabase
+      .from('drivers')
+      .insert({
+        user_id: userId,
+        vehicle_type: vehicleType,
+        vehicle_plate: vehiclePlate || null,
+        is_online: false,
+      })
+      .select()
+      .single();
+
+    if (error) {
+      if (error.code === '23505') {
+        throw errorResponse('Driver profile already exists', 409, 'DRIVER_EXISTS');
+      }
+      throw error;
+    }
+
+    return data;
+  }
+
+  async updateDriver(driverId, { vehicleType, vehiclePlate, isActive }) {
+    const changes = { updated_at: new Date().toISOString() };
+
+    if (vehicleType !== undefined) {
+      this._assertVehicleType(vehicleType);
+      changes.vehicle_type = vehicleType;
+    }
+    if (vehiclePlate !== undefined) changes.vehicle_plate = vehiclePlate;
+    if (isActive !== undefined) changes.is_active = Boolean(isActive);
+
+    const { data, error } = await supabase
+      .from('drivers')
+      .update(changes)
+      .eq('user_id', driverId)
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!data) {
+      throw errorResponse('Driver not found', 404, 'DRIVER_NOT_FOUND');
+    }
+
+    return data;
+  }
+
+  /**
+   * Go online: opens a shift in driver_shifts.
+   */
+  async startShift(driverId) {
+    const driver = await this._requireDriver(driverId);
+    if (driver.is_active === false) {
+      throw errorResponse('Driver account is deactivated', 403, 'DRIVER_INACTIVE');
+    }
+    if (driver.is_online) return driver;
+
+    const now = new Date().toISOString();
+
+    const { error: shiftError } = await supabase
+      .from('driver_shifts')
+      .insert({ driver_id: driverId, started_at: now });
+
+    if (shiftError) throw shiftError;
+
+    return this._setOnline(driverId, true, now);
+  }
+
+  /**
+   * Go offline: closes the open shift and declines pending offers.
+   */
+  async endShift(driverId) {
+    const driver = await this._requireDriver(driverId);
+    if (!driver.is_online) return driver;
+
+    const now = new Date().toISOString();
+
+    const { error: shiftError } = await supabase
+      .from('driver_shifts')
+      .update({ ended_at: now })
+      .eq('driver_id', driverId)
+      .is('ended_at', null);
+
+    if (shiftError) throw shiftError;
+
+    const { error: offersError } = await supabase
+      .from('order_assignments')
+      .update({ status: 'declined', responded_at: now, decline_reason: 'went_offline' })
+      .eq('driver_id', driverId)
+      .eq('status', 'offered');
+
+    if (offersError) throw offersError;
+
+    return this._setOnline(driverId, false, now);
+  }
+
+  /**
+   * Offer an order in an assignable status to a driver.
+   */
+  async assignOrder(orderId, driverId, { assignedBy } = {}) {
+    const order = await orderService.getOrderForAccessCheck(orderId);
+    if (!order) {
+      throw errorResponse('Order not found', 404, 'ORDER_NOT_FOUND');
+    }
+    if (!ASSIGNABLE_STATUSES.includes(order.status)) {
+      throw errorResponse(
+        `Only orders in status ${ASSIGNABLE_STATUSES.join('/')} can be assigned`,
+        409,
+        'ORDER_NOT_ASSIGNABLE'
+      );
+    }
+    if (order.driver_id) {
+      throw errorResponse('Order already has a driver', 409, 'ORDER_ALREADY_ASSIGNED');
+    }
+
+    const driver = await this._requireDriver(driverId);
+    if (!driver.is_online || driver.is_active === false) {
+      throw errorResponse('Driver is not available', 409, 'DRIVER_UNAVAILABLE');
+    }
+
+    await this.expireOffers({ orderId });
+
+    const { data: pending, error: pendingError } = await supabase
+      .from('order_assignments')
+      .select('id')
+      .eq('order_id', orderId)
+      .eq('status', 'offered')
+      .limit(1);
+
+    if (pendingError) throw pendingError;
+    if (pending.length > 0) {
+      throw errorResponse('Order already has a pending offer', 409, 'OFFER_PENDING');
+    }
+
+    const now = Date.now();
+    const { data, error } = await supabase
+      .from('order_assignments')
+      .insert({
+        order_id: orderId,
+        driver_id: driverId,
+        status: 'offered',
+        offered_at: new Date(now).toISOString(),
+        expires_at: new Date(now + config.drivers.offerTimeoutSeconds * 1000).toISOString(),
+        assigned_by: assignedBy || null,
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    return data;
+  }
+
+  async getOffers(driverId) {
+    await this.expireOffers({ driverId });
+
+    const { data, error } = await supabase
+      .from('order_assignments')
+      .select(`
+        *,
+        order:orders(id, status, total, delivery_address, restaurant:restaurants(*))
+      `)
+      .eq('driver_id', driverId)
+      .eq('status', 'offered')
+      .order('offered_at', { ascending: true });
+
+    if (error) throw error;
+
+    return data;
+  }
+
+  /**
+   * Accept an offer: the driver is attached to the order.
+   */
+  async acceptOffer(driverId, assignmentId) {
+    const offer = await this._requireOpenOffer(driverId, assignmentId);
+
+    // Went offline or was deactivated since the offer was made
+    const driver = await this._requireDriver(driverId);
+    if (!driver.is_online || driver.is_active === false) {
+      throw errorResponse('Driver is not available', 409, 'DRIVER_UNAVAILABLE');
+    }
+
+    const now = new Date().toISOString();
+
+    // Only one accepted driver per order, and only while it still needs one:
+    // guard on driver_id being empty and on the status
+    const { data: order, error: orderError } = await supabase
+      .from('orders')
+      .update({ driver_id: driverId, driver_assigned_at: now, updated_at: now })
+      .eq('id', offer.order_id)
+      .is('driver_id', null)
+      .in('status', ASSIGNABLE_STATUSES)
+      .select()
+      .maybeSingle();
+
+    if (orderError) throw orderError;
+    if (!order) {
+      await this._respond(assignmentId, 'cancelled');
+
+      const current = await orderService.getOrderForAccessCheck(offer.order_id);
+      if (current?.driver_id) {
+        throw errorResponse('Order was assigned to another driver', 409, 'ORDER_ALREADY_ASSIGNED');
+      }
+      throw errorResponse('Order no longer needs a driver', 409, 'ORDER_NOT_ASSIGNABLE');
+    }
+
+    const assignment = await this._respond(assignmentId, 'accepted');
+
+    // The order has its driver; other offers must not stay open
+    try {
+      await this.cancelOpenOffers(offer.order_id);
+    } catch (error) {
+      console.error(`❌ Failed to withdraw other offers for order ${offer.order_id}:`, error);
+    }
+
+    return { ...assignment, order: hideDeliveryPin(order) };
+  }
+
+  async declineOffer(driverId, assignmentId, { reason } = {}) {
+    const offer = await this._requireOpenOffer(driverId, assignmentId);
+
+    const data = await this._respond(assignmentId, 'declined', { decline_reason: reason || null });
+
+    // Move on to the next driver right away instead of waiting for the cycle
+    dispatchService.dispatchOrder(offer.order_id).catch(error =>
+      console.error(`❌ Dispatch failed for order ${offer.order_id}:`, error)
+    );
+
+    return data;
+  }
+
+  /**
+   * Withdraw the open offers of an order (accepted by a driver, cancelled
+   * or rejected).
+   */
+  async cancelOpenOffers(orderId) {
+    const { error } = await supabase
+      .from('order_assignments')
+      .update({ status: 'cancelled', responded_at: new Date().toISOString() })
+      .eq('order_id', orderId)
+      .eq('status', 'offered');
+
+    if (error) throw error;
+  }
+
+  /**
+   * Mark offers past their expires_at as expired (filtered by order or driver).
+   */
+  async expireOffers({ orderId, driverId } = {}) {
+    let query = supabase
+      .from('order_assignments')
+      .update({ status: 'expired' })
+      .eq('status', 'offered')
+      .lte('expires_at', new Date().toISOString());
+
+    if (orderId) query = query.eq('order_id', orderId);
+    if (driverId) query = query.eq('driver_id', driverId);
+
+    const { error } = await query;
+
+    if (error) throw error;
+  }
+
+  /**
+   * Orders of a driver: 'current' (in progress) or 'past' (finished).
+   */
+  async getDriverOrders(driverId, { scope = 'current', limit = 50, offset = 0 }) {
+    if (!['current', 'past'].includes(scope)) {
+      throw errorResponse("scope must be 'current' or 'past'", 400, 'VALIDATION_ERROR');
+    }
+
+    const { data, error, count } = await supabase
+      .from('orders')
+      .select(`
+        *,
+        restaurant:restaurants(*),
+        order_items(*)
+      `, { count: 'exact' })
+      .eq('driver_id', driverId)
+      .in('status', scope === 'current' ? ACTIVE_DELIVERY_STATUSES : PAST_STATUSES)
+      .order('created_at', { ascending: scope === 'current' })
+      .range(offset, offset + limit - 1);
+
+    if (error) throw error;
+
+    return { data: data.map(hideDeliveryPin), count };
+  }
+
+  async _requireDriver(driverId) {
+    const driver = await this.getDriver(driverId);
+    if (!driver) {
+      throw errorResponse('Driver not found', 404, 'DRIVER_NOT_FOUND');
+    }
+    return driver;
+  }
+
+  async _requireOpenOffer(driverId, assignmentId) {
+    const { data: offer, error } = await supabase
+      .from('order_assignments')
+      .select('*')
+      .eq('id', assignmentId)
+      .eq('driver_id', driverId)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!offer) {
+      throw errorResponse('Offer not found', 404, 'OFFER_NOT_FOUND');
+    }
+    if (offer.status === 'offered' && new Date(offer.expires_at) <= new Date()) {
+      await this._respond(assignmentId, 'expired');
+      throw errorResponse('Offer has expired', 409, 'OFFER_EXPIRED');
+    }
+    if (offer.status !== 'offered') {
+      throw errorResponse(`Offer is already ${offer.status}`, 409, 'OFFER_CLOSED');
+    }
+
+    return offer;
+  }
+
+  async _respond(assignmentId, status, extra = {}) {
+    const { data, error } = await supabase
+      .from('order_assignments')
+      .update({ ...extra, status, responded_at: new Date().toISOString() })
+      .eq('id', assignmentId)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    return data;
+  }
+
+  async _setOnline(driverId, isOnline, at) {
+    const { data, error } = await supabase
+      .from('drivers')
+      .update({ is_online: isOnline, last_online_change_at: at, updated_at: at })
+      .eq('user_id', driverId)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    return data;
+  }
+
+  _assertVehicleType(vehicleType) {
+    if (!VEHICLE_TYPES.includes(vehicleType)) {
+      throw errorResponse(
+        `vehicle_type must be one of: ${VEHICLE_TYPES.join(', ')}`,
+        400,
+        'VALIDATION_ERROR'
+      );
+    }
+  }
+}
+
+export default new DriverService();
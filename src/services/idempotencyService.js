@@ -0,0 +1,126 @@
+import { config } from '../config/app.js';
+import { supabaseAdmin } from '../config/supabase.js';
+import { errorResponse } from '../utils/response.js';
+
+const UNIQUE_VIOLATION = '23505';
+
+/**
+ * Storage for Idempotency-Key records (table idempotency_keys).
+ * A record is 'in_progress' while the first request runs and 'completed'
+ * once its response has been stored for replay.
+ */
+export class IdempotencyService {
+  /**
+   * Try to claim a key for this user. Returns { claimed: true } when the
+   * caller should process the request, or { claimed: false, record } when
+   * a live record already exists.
+   */
+  async claim(userId, key, requestHash, { retake = true } = {}) {
+    const now = new Date();
+    const expiresAt = new Date(now.getTime() + config.idempotency.ttlMs);
+
+    const { error } = await supabaseAdmin
+      .from('idempotency_keys')
+      .insert({
+        user_id: userId,
+        key,
+        request_hash: requestHash,
+        status: 'in_progress',
+        expires_at: expiresAt.toISOString(),
+      });
+
+    if (!error) return { claimed: true };
+    if (error.code !== UNIQUE_VIOLATION) throw error;
+
+    const record = await this.get(userId, key);
+
+    if (record && !this._isStale(record, now)) {
+      return { claimed: false, record };
+    }
+
+    // Expired or abandoned records are taken over, once. Another request
+    // may be taking over the same record: only one of them matches it.
+    if (retake) {
+      if (record && await this._takeOver(record, { requestHash, expiresAt })) {
+        return { claimed: true };
+      }
+      return this.claim(userId, key, requestHash, { retake: false });
+    }
+
+    throw errorResponse('A request with this Idempotency-Key is still being processed', 409, 'IDEMPOTENCY_IN_PROGRESS');
+  }
+
+  /**
+   * Reset a stale record to a fresh claim, only if it is still exactly the
+   * record that was read. Returns whether this call took it over.
+   */
+  async _takeOver(record, { requestHash, expiresAt }) {
+    const { data, error } = await supabaseAdmin
+      .from('idempotency_keys')
+      .update({
+        request_hash: requestHash,
+        status: 'in_progress',
+        response_status: null,
+        response_body: null,
+        created_at: new Date().toISOString(),
+        completed_at: null,
+        expires_at: expiresAt.toISOString(),
+      })
+      .eq('user_id', record.user_id)
+      .eq('key', record.key)
+      .eq('status', record.status)
+      .eq('created_at', record.created_at)
+      .select('key')
+      .maybeSingle();
+
+    if (error) throw error;
+
+    return Boolean(data);
+  }
+
+  _isStale(record, now) {
+    if (new Date(record.expires_at) <= now) return true;
+    return record.status === 'in_progress'
+      && now - new Date(record.created_at) > config.idempotency.lockTimeoutMs;
+  }
+
+  async get(userId, key) {
+    const { data, error } = await supabaseAdmin
+      .from('idempotency_keys')
+      .select('*')
+      .eq('user_id', userId)
+      .eq('key', key)
+      .maybeSingle();
+
+    if (error) throw error;
+
+    return data;
+  }
+
+  async complete(userId, key, { statusCode, body }) {
+    const { error } = await supabaseAdmin
+      .from('idempotency_keys')
+      .update({
+        status: 'completed',
+        response_status: statusCode,
+        response_body: body,
+        completed_at: new Date().toISOString(),
+      })
+      .eq('user_id', userId)
+      .eq('key', key);
+
+    if (error) throw error;
+  }
+
+  async release(userId, key) {
+    const { error } = await supabaseAdmin
+      .from('idempotency_keys')
+      .delete()
+      .eq('user_id', userId)
+      .eq('key', key);
+
+    if (error) throw error;
+  }
+}
+
+export default new IdempotencyService();
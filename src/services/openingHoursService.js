@@ -0,0 +1,340 @@
+import { config } from '../config/app.js';
+import { supabase } from '../config/supabase.js';
+import { errorResponse } from '../utils/response.js';
+import { addDays, getZonedParts, parseTimeOfDay, zonedTimeToDate } from '../utils/time.js';
+
+// How far ahead next_opening_at is looked for
+const LOOKAHEAD_DAYS = 8;
+const MAX_INTERVALS_PER_DAY = 6;
+
+/**
+ * Restaurant opening hours, evaluated in config.openingHours.timezone.
+ *
+ * - restaurant_opening_hours: weekly intervals, several per day. An interval
+ *   whose closes_at is not after opens_at runs past midnight.
+ * - restaurant_closures: exceptional closures (holidays, works...).
+ * - restaurants.is_paused / paused_until: temporary "busy" pause set by
+ *   the restaurant, indefinite when paused_until is null.
+ *
+ * Restaurants without weekly hours are treated as always open.
+ */
+export class OpeningHoursService {
+  /**
+   * Weekly hours and upcoming closures for many restaurants.
+   * Returns a Map of restaurant id -> { hours, closures }.
+   */
+  async getSchedules(restaurantIds, now = new Date()) {
+    const schedules = new Map(restaurantIds.map(id => [id, { hours: [], closures: [] }]));
+    if (restaurantIds.length === 0) return schedules;
+
+    const [hours, closures] = await Promise.all([
+      supabase
+        .from('restaurant_opening_hours')
+        .select('*')
+        .in('restaurant_id', restaurantIds),
+      supabase
+        .from('restaurant_closures')
+        .select('*')
+        .in('restaurant_id', restaurantIds)
+        .gt('ends_at', now.toISOString())
+        .order('starts_at', { ascending: true }),
+    ]);
+
+    if (hours.error) throw hours.error;
+    if (closures.error) throw closures.error;
+
+    for (const row of hours.data) schedules.get(row.restaurant_id)?.hours.push(row);
+    for (const row of closures.data) schedules.get(row.restaurant_id)?.closures.push(row);
+
+    return schedules;
+  }
+
+  /**
+   * Add is_open and next_opening_at to restaurant rows.
+   */
+  async withOpenStatus(restaurants, now = new Date()) {
+    const schedules = await this.getSchedules(restaurants.map(restaurant => restaurant.id), now);
+
+    return restaurants.map(restaurant => {
+      const status = this.computeOpenStatus({ restaurant, ...schedules.get(restaurant.id) }, now);
+      return {
+        ...restaurant,
+        is_open: status.is_open,
+        next_opening_at: status.next_opening_at,
+      };
+    });
+  }
+
+  async getOpenStatus(restaurant, at = new Date()) {
+    const schedules = await this.getSchedules([restaurant.id], at);
+    return this.computeOpenStatus({ restaurant, ...schedules.get(restaurant.id) }, at);
+  }
+
+  /**
+   * Opening status at `now`: { is_open, paused, closes_at, next_opening_at }.
+   * Pure: only depends on its arguments.
+   */
+  computeOpenStatus({ restaurant, hours = [], closures = [] }, now = new Date()) {
+    const nowMs = now.getTime();
+    const blocked = closures.map(closure => [
+      new Date(closure.starts_at).getTime(),
+      new Date(closure.ends_at).getTime(),
+    ]);
+
+    const pausedUntil = restaurant.paused_until ? new Date(restaurant.paused_until).getTime() : Infinity;
+    const paused = Boolean(restaurant.is_paused) && pausedUntil > nowMs;
+    if (paused) {
+      blocked.push([-Infinity, pausedUntil]);
+    }
+
+    const open = hours.length === 0
+      ? [[-Infinity, Infinity]]
+      : this._weeklyIntervals(hours, now);
+
+    const segments = this._subtract(open, blocked);
+    const current = segments.find(([start, end]) => start <= nowMs && nowMs < end);
+    const next = segments.find(([start]) => start > nowMs);
+
+    return {
+      is_open: Boolean(current),
+      paused,
+      closes_at: current && Number.isFinite(current[1]) ? new Date(current[1]).toISOString() : null,
+      next_opening_at: !current && next ? new Date(next[0]).toISOString() : null,
+    };
+  }
+
+  /**
+   * Weekly hours, upcoming closures and current status (public).
+   */
+  async getHours(restaurantId) {
+    const { data: restaurant, error } = await supabase
+      .from('restaurants')
+      .select('id, is_paused, paused_until, pause_reason')
+      .eq('id', restaurantId)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!restaurant) {
+      throw errorResponse('Restaurant not found', 404, 'RESTAURANT_NOT_FOUND');
+    }
+
+    const now = new Date();
+    const schedule = (await this.getSchedules([restaurantId], now)).get(restaurantId);
+
+    return {
+      timezone: config.openingHours.timezone,
+      hours: schedule.hours
+        .map(({ day_of_week, opens_at, closes_at }) => ({
+          day_of_week,
+          opens_at: String(opens_at).slice(0, 5),
+          closes_at: String(closes_at).slice(0, 5),
+        }))
+        .sort((a, b) => a.day_of_week - b.day_of_week || a.opens_at.localeCompare(b.opens_at)),
+      closures: schedule.closures,
+      pause_reason: restaurant.is_paused ? restaurant.pause_reason : null,
+      ...this.computeOpenStatus({ restaurant, ...schedule }, now),
+    };
+  }
+
+  /**
+   * Replace the weekly hours of a restaurant.
+   * hours: [{ day_of_week: 0-6 (0 = Sunday), opens_at: 'HH:MM', closes_at: 'HH:MM' }]
+   *
+   * Every row is validated first; set_opening_hours then swaps them in one
+   * transaction, so a failure keeps the previous hours.
+   */
+  async setWeeklyHours(restaurantId, hours) {
+    const rows = this._validateHours(hours);
+
+    const { error } = await supabase.rpc('set_opening_hours', {
+      p_restaurant_id: restaurantId,
+      p_rows: rows,
+    });
+
+    if (error) throw error;
+
+    return this.getHours(restaurantId);
+  }
+
+  async addClosure(restaurantId, { startsAt, endsAt, reason }) {
+    const start = new Date(startsAt);
+    const end = new Date(endsAt);
+    if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime()) || end <= start) {
+      throw errorResponse('starts_at and ends_at must be dates with ends_at after starts_at', 400, 'VALIDATION_ERROR');
+    }
+
+    const { data, error } = await supabase
+      .from('restaurant_closures')
+      .insert({
+        restaurant_id: restaurantId,
+        starts_at: start.toISOString(),
+        ends_at: end.toISOString(),
+        reason: reason || null,
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    return data;
+  }
+
+  async deleteClosure(restaurantId, closureId) {
+    const { data, error } = await supabase
+      .from('restaurant_closures')
+      .delete()
+      .eq('id', closureId)
+      .eq('restaurant_id', restaurantId)
+      .select('id');
+
+    if (error) throw error;
+    if (data.length === 0) {
+      throw errorResponse('Closure not found', 404, 'CLOSURE_NOT_FOUND');
+    }
+  }
+
+  /**
+   * Pause or resume taking orders. A pause lasts `minutes` when given,
+   * otherwise until resumed.
+   */
+  async setPause(restaurantId, { paused, minutes, reason }) {
+    if (typeof paused !== 'boolean') {
+      throw errorResponse('paused must be a boolean', 400, 'VALIDATION_ERROR');
+    }
+
+    let pausedUntil = null;
+    if (paused && minutes !== undefined && minutes !== null) {
+      const value = Number(minutes);
+      if (!Number.isInteger(value) || value < 1 || value > config.openingHours.maxPauseMinutes) {
+        throw errorResponse(
+          `minutes must be an integer between 1 and ${config.openingHours.maxPauseMinutes}`,
+          400,
+          'VALIDATION_ERROR'
+        );
+      }
+      pausedUntil = new Date(Date.now() + value * 60 * 1000).toISOString();
+    }
+
+    const { error } = await supabase
+      .from('restaurants')
+      .update({
+        is_paused: paused,
+        paused_until: pausedUntil,
+        pause_reason: paused ? reason || null : null,
+      })
+      .eq('id', restaurantId);
+
+    if (error) throw error;
+
+    return this.getHours(restaurantId);
+  }
+
+  /**
+   * Concrete [start, end] instants (ms) of the weekly hours, from the day
+   * before `now` (for overnight intervals) to LOOKAHEAD_DAYS after.
+   */
+  _weeklyIntervals(hours, now) {
+    const { timezone } = config.openingHours;
+    const today = getZonedParts(now, timezone);
+    const intervals = [];
+
+    for (let offset = -1; offset <= LOOKAHEAD_DAYS; offset++) {
+      const date = addDays(today, offset);
+      const weekday = (((today.weekday + offset) % 7) + 7) % 7;
+
+      for (const row of hours) {
+        if (Number(row.day_of_week) !== weekday) continue;
+
+        const opens = parseTimeOfDay(row.opens_at);
+        const closes = parseTimeOfDay(row.closes_at);
+        if (opens === null || closes === null) continue;
+
+        const closesDate = closes <= opens ? addDays(date, 1) : date;
+        intervals.push([
+          zonedTimeToDate({ ...date, hour: Math.floor(opens / 60), minute: opens % 60 }, timezone).getTime(),
+          zonedTimeToDate({ ...closesDate, hour: Math.floor(closes / 60), minute: closes % 60 }, timezone).getTime(),
+        ]);
+      }
+    }
+
+    return this._merge(intervals);
+  }
+
+  _merge(intervals) {
+    const sorted = [...intervals].sort((a, b) => a[0] - b[0]);
+    const merged = [];
+
+    for (const [start, end] of sorted) {
+      const last = merged[merged.length - 1];
+      if (last && start <= last[1]) {
+        last[1] = Math.max(last[1], end);
+      } else {
+        merged.push([start, end]);
+      }
+    }
+
+    return merged;
+  }
+
+  _subtract(intervals, blocked) {
+    let segments = intervals;
+
+    for (const [blockStart, blockEnd] of blocked) {
+      segments = segments.flatMap(([start, end]) => {
+        if (blockEnd <= start || blockStart >= end) return [[start, end]];
+        const pieces = [];
+        if (blockStart > start) pieces.push([start, blockStart]);
+        if (blockEnd < end) pieces.push([blockEnd, end]);
+        return pieces;
+      });
+    }
+
+    return segments;
+  }
+
+  _validateHours(hours) {
+    if (!Array.isArray(hours)) {
+      throw errorResponse('hours must be an array', 400, 'VALIDATION_ERROR');
+    }
+
+    const errors = [];
+    const perDay = new Map();
+
+    const rows = hours.map((row, index) => {
+      const day = Number(row?.day_of_week);
+      const opens = parseTimeOfDay(row?.opens_at);
+      const closes = parseTimeOfDay(row?.closes_at);
+
+      if (!Number.isInteger(day) || day < 0 || day > 6) {
+        errors.push({ index, field: 'day_of_week', message: 'day_of_week must be 0 (Sunday) to 6' });
+      }
+      if (opens === null || opens === 24 * 60) {
+        errors.push({ index, field: 'opens_at', message: 'opens_at must be HH:MM' });
+      }
+      if (closes === null) {
+        errors.push({ index, field: 'closes_at', message: 'closes_at must be HH:MM' });
+      }
+
+      perDay.set(day, (perDay.get(day) || 0) + 1);
+
+      return { day_of_week: day, opens_at: row?.opens_at, closes_at: row?.closes_at };
+    });
+
+    for (const [day, count] of perDay) {
+      if (count > MAX_INTERVALS_PER_DAY) {
+        errors.push({ field: 'hours', message: `At most ${MAX_INTERVALS_PER_DAY} intervals per day (day ${day})` });
+      }
+    }
+
+    if (errors.length > 0) {
+      const error = errorResponse('Invalid opening hours', 400, 'VALIDATION_ERROR');
+      error.details = { errors };
+      throw error;
+    }
+
+    return rows;
+  }
+}
+
+// Export singleton instance
+export default new OpeningHoursService();
@@ -0,0 +1,88 @@
+import { EventEmitter } from 'events';
+import { config } from '../config/app.js';
+
+const ALL_ORDERS = '*';
+
+/**
+ * In-process pub/sub for order tracking events (status, eta, driver_location).
+ *
+ * Keeps the last few events of each order so SSE clients reconnecting with
+ * Last-Event-ID can catch up. Events only reach subscribers of the same
+ * process; it is a local stand-in for Supabase Realtime.
+ */
+export class OrderEventBus {
+  constructor({ bufferSize = config.orderEvents.bufferSize, maxOrders = config.orderEvents.maxOrders } = {}) {
+    this.emitter = new EventEmitter();
+    this.emitter.setMaxListeners(0);
+    this.bufferSize = bufferSize;
+    this.maxOrders = maxOrders;
+    this.buffers = new Map();
+    this.sequence = 0;
+  }
+
+  /**
+   * Publish an event for an order. Returns the stored event.
+   */
+  publish(orderId, type, data) {
+    const event = {
+      id: ++this.sequence,
+      type,
+      data: { order_id: orderId, ...data },
+      timestamp: new Date().toISOString(),
+    };
+
+    this._remember(String(orderId), event);
+    this.emitter.emit(String(orderId), event);
+    this.emitter.emit(ALL_ORDERS, event);
+
+    return event;
+  }
+
+  /**
+   * Listen to an order's events. Returns an unsubscribe function.
+   */
+  subscribe(orderId, listener) {
+    const channel = String(orderId);
+    this.emitter.on(channel, listener);
+    return () => this.emitter.off(channel, listener);
+  }
+
+  /**
+   * Listen to the events of every order (server-side consumers such as
+   * dispatch). Returns an unsubscribe function.
+   */
+  subscribeAll(listener) {
+    this.emitter.on(ALL_ORDERS, listener);
+    return () => this.emitter.off(ALL_ORDERS, listener);
+  }
+
+  /**
+   * Buffered events published after `lastEventId` (all buffered if null).
+   */
+  getEventsSince(orderId, lastEventId) {
+    const buffer = this.buffers.get(String(orderId)) || [];
+    const since = Number(lastEventId);
+    if (!Number.isFinite(since)) return [...buffer];
+    return buffer.filter(event => event.id > since);
+  }
+
+  listenerCount(orderId) {
+    return this.emitter.listenerCount(String(orderId));
+  }
+
+  _remember(channel, event) {
+    const buffer = this.buffers.get(channel) || [];
+    buffer.push(event);
+    if (buffer.length > this.bufferSize) buffer.shift();
+
+    // Re-insert so the Map stays ordered by last activity, then evict the oldest
+    this.buffers.delete(channel);
+    this.buffers.set(channel, buffer);
+    if (this.buffers.size > this.maxOrders) {
+      this.buffers.delete(this.buffers.keys().next().value);
+    }
+  }
+}
+
+// Export singleton instance
+export default new OrderEventBus();
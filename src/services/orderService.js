@@ -1,4 +1,23 @@
+import { ORDER_STATUS, canTransition, isValidStatus } from '../config/orderStatus.js';
+import { canSetOrderStatus, isAdmin } from '../config/permissions.js';
 import { supabase } from '../config/supabase.js';
+import { errorResponse } from '../utils/response.js';
+import { validateOrderInput } from '../utils/validation.js';
+import orderEventBus from './orderEventBus.js';
+import pricingService from './pricingService.js';
+import { PROMO_LIMIT_ERRORS } from './promoCodeService.js';
+import referralService from './referralService.js';
+import schedulingService from './schedulingService.js';
+
+/**
+ * The delivery PIN is only for the customer, who hands it to the driver.
+ * Use on every order payload sent to restaurants and drivers.
+ */
+export const hideDeliveryPin = order => {
+  if (!order) return order;
+  const { delivery_pin, ...rest } = order;
+  return rest;
+};
 
 export class OrderService {
   async getOrders({ userId, status, limit = 50, offset = 0 }) {
@@ -24,88 +43,268 @@ export class OrderService {
     return { data, count };
   }
 
+  /**
+   * Price an order body without writing anything (checkout preview).
+   * Uses the same pricing as createOrder, so the quote is what gets charged.
+   */
+  async quoteOrder(orderData) {
+    validateOrderInput(orderData);
+
+    return pricingService.priceOrder({
+      ...orderData,
+      scheduledFor: schedulingService.parseScheduledFor(orderData.scheduledFor ?? orderData.scheduled_for),
+    });
+  }
+
+  /**
+   * Place an order. Prices, discount and delivery fee are computed by
+   * PricingService; the client's `total` is only compared against ours.
+   * The order, its items and the first history entry are written in one
+   * transaction by the create_order_with_items database function.
+   * With scheduled_for the order waits as `scheduled` until its release_at
+   * (see ScheduledOrderService).
+   */
   async createOrder(orderData) {
     const {
       userId,
       restaurantId,
       items,
       deliveryAddress,
-      deliveryFee,
-      subtotal,
-      total,
+      deliveryLatitude,
+      deliveryLongitude,
+      total: quotedTotal,
       paymentMethod,
       promoCode,
       notes,
     } = orderData;
 
-    // Create order
-    const { data: order, error: orderError } = await supabase
-      .from('orders')
-      .insert({
+    validateOrderInput(orderData, { requireAddress: true });
+    const scheduledFor = schedulingService.parseScheduledFor(orderData.scheduledFor ?? orderData.scheduled_for);
+
+    const pricing = await pricingService.priceOrder({
+      userId,
+      restaurantId,
+      items,
+      promoCode,
+      deliveryLatitude,
+      deliveryLongitude,
+      scheduledFor,
+    });
+    pricingService.assertOrderable(pricing);
+    pricingService.assertQuotedTotal(pricing, quotedTotal);
+
+    const { data: order, error } = await supabase.rpc('create_order_with_items', {
+      p_order: {
         user_id: userId,
         restaurant_id: restaurantId,
         delivery_address: deliveryAddress,
-        delivery_fee: deliveryFee || 0,
-        subtotal: subtotal || 0,
-        total: total || 0,
+        delivery_latitude: deliveryLatitude ?? null,
+        delivery_longitude: deliveryLongitude ?? null,
+        delivery_fee: pricing.delivery_fee,
+        subtotal: pricing.subtotal,
+        discount_amount: pricing.discount,
+        service_fee: pricing.service_fee,
+        total: pricing.total,
         payment_method: paymentMethod || 'cash',
-        promo_code: promoCode,
+        promo_code: pricing.promo_code,
         notes,
-        status: 'pending',
-      })
-      .select()
-      .single();
-
-    if (orderError) throw orderError;
-
-    // Create order items
-    const orderItems = items.map(item => ({
-      order_id: order.id,
-      menu_item_id: item.menu_item_id,
-      quantity: item.quantity,
-      price: item.price,
-      subtotal: item.quantity * item.price,
-      customizations: item.customizations || null,
-    }));
+        scheduled_for: pricing.scheduled_for,
+        release_at: pricing.release_at,
+        status: scheduledFor ? ORDER_STATUS.SCHEDULED : ORDER_STATUS.PENDING,
+      },
+      p_items: pricing.items.map(line => ({
+        menu_item_id: line.menu_item_id,
+        quantity: line.quantity,
+        price: line.unit_price,
+        subtotal: line.subtotal,
+        discount_amount: line.discount,
+        promotion_id: line.promotion_id,
+        customizations: line.customizations.length > 0 ? line.customizations : null,
+      })),
+      // Recorded in promo_code_redemptions, limits re-checked under lock
+      p_promo: pricing.promo_code_id
+        ? { promo_code_id: pricing.promo_code_id, discount_amount: pricing.promo_code_discount }
+        : null,
+      // Recorded in order_promotions
+      p_promotions: pricing.promotions.map(promotion => ({
+        promotion_id: promotion.promotion_id,
+        name: promotion.name,
+        type: promotion.type,
+        discount_amount: promotion.discount_amount,
+        details: { menu_item_ids: promotion.menu_item_ids, free_items: promotion.free_items },
+      })),
+    });
 
-    const { error: itemsError } = await supabase
-      .from('order_items')
-      .insert(orderItems);
-
-    if (itemsError) throw itemsError;
+    if (error) {
+      if (PROMO_LIMIT_ERRORS[error.message]) {
+        throw errorResponse(PROMO_LIMIT_ERRORS[error.message], 409, error.message);
+      }
+      throw error;
+    }
 
     return order;
   }
 
-  async getOrderById(orderId, userId) {
-    const { data, error } = await supabase
+  /**
+   * An order as seen by its customer, or by an admin (any order).
+   */
+  async getOrderById(orderId, user) {
+    let query = supabase
       .from('orders')
       .select(`
         *,
         restaurant:restaurants(*),
-        order_items(*)
+        order_items(*),
+        promotions:order_promotions(*),
+        status_history:order_status_history(*),
+        driver:drivers(vehicle_type, location:driver_locations(lat, lng, updated_at))
       `)
       .eq('id', orderId)
-      .eq('user_id', userId)
-      .single();
+      .order('created_at', { referencedTable: 'order_status_history', ascending: true });
+
+    if (!isAdmin(user)) {
+      query = query.eq('user_id', user.id);
+    }
+
+    const { data, error } = await query.maybeSingle();
 
     if (error) throw error;
 
     return data;
   }
 
-  async updateOrderStatus(orderId, status) {
+  /**
+   * Load an order with the fields needed for access checks
+   * (user_id, driver_id, restaurant owner and staff).
+   */
+  async getOrderForAccessCheck(orderId) {
     const { data, error } = await supabase
       .from('orders')
-      .update({ status, updated_at: new Date().toISOString() })
+      .select('*, restaurant:restaurants(id, owner_id, staff:restaurant_staff(user_id))')
       .eq('id', orderId)
-      .select()
-      .single();
+      .maybeSingle();
 
     if (error) throw error;
 
     return data;
   }
+
+  /**
+   * Move an order through its lifecycle (see config/orderStatus.js).
+   * Cancellation and rejection have their own endpoints and policies
+   * (see CancellationService) and are refused here.
+   */
+  async updateOrderStatus(orderId, status, { actor, reason } = {}) {
+    if (!isValidStatus(status)) {
+      throw errorResponse(`Unknown order status '${status}'`, 400, 'INVALID_STATUS');
+    }
+    if (status === ORDER_STATUS.DELIVERED && !isAdmin(actor)) {
+      throw errorResponse(
+        'Use POST /api/orders/:id/deliver with a proof of delivery instead',
+        400,
+        'PROOF_OF_DELIVERY_REQUIRED'
+      );
+    }
+    if (status === ORDER_STATUS.CANCELLED || status === ORDER_STATUS.REJECTED) {
+      throw errorResponse(
+        `Use POST /api/orders/:id/${status === ORDER_STATUS.CANCELLED ? 'cancel' : 'reject'} instead`,
+        400,
+        'USE_CANCELLATION_ENDPOINT'
+      );
+    }
+
+    const order = await this.getOrderForAccessCheck(orderId);
+    if (!order) {
+      throw errorResponse('Order not found', 404, 'ORDER_NOT_FOUND');
+    }
+
+    return this.transitionOrder(order, status, { actor, reason });
+  }
+
+  /**
+   * Apply a status transition to a loaded order (from getOrderForAccessCheck).
+   * Rejects illegal transitions and actors who may not trigger them, writes
+   * `changes` along with the new status and records order_status_history,
+   * both in one transaction (transition_order database function).
+   * With `refund` (see RefundService.buildRefund) the refund request is
+   * created in that transaction too and returned as `refund`.
+   */
+  async transitionOrder(order, status, { actor, reason, changes = {}, refund = null } = {}) {
+    if (!canTransition(order.status, status)) {
+      throw errorResponse(
+        `Cannot change order status from '${order.status}' to '${status}'`,
+        409,
+        'INVALID_STATUS_TRANSITION'
+      );
+    }
+
+    if (!canSetOrderStatus(actor, order, status)) {
+      throw errorResponse(`Not allowed to set order status to '${status}'`, 403, 'FORBIDDEN');
+    }
+
+    // Guarded on the current status so concurrent updates cannot both apply
+    const { data: result, error } = await supabase
+      .rpc('transition_order', {
+        p_order_id: order.id,
+        p_from_status: order.status,
+        p_to_status: status,
+        p_changes: changes,
+        p_actor_id: actor?.id || null,
+        p_actor_role: actor?.role || null,
+        p_reason: reason || null,
+        p_refund: refund,
+      })
+      .select(refund ? '*, refunds(*)' : '*')
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!result) {
+      throw errorResponse('Order status changed concurrently, please retry', 409, 'STATUS_CONFLICT');
+    }
+
+    const { refunds, ...data } = result;
+    if (refund) {
+      // The one just created is the latest
+      data.refund = [...refunds].sort((a, b) => new Date(b.created_at) - new Date(a.created_at))[0] || null;
+    }
+
+    orderEventBus.publish(order.id, 'status', {
+      from: order.status,
+      status,
+      reason: reason || null,
+      changed_at: data.updated_at,
+    });
+
+    // The order is delivered at this point; side effects must not undo that
+    if (status === ORDER_STATUS.DELIVERED) {
+      try {
+        await referralService.rewardReferral(data.user_id);
+      } catch (error) {
+        // Retried by ReferralService.retryPendingRewards
+        console.error(`❌ Failed to reward referral for order ${order.id}:`, error);
+      }
+    }
+
+    return hideDeliveryPin(data);
+  }
+
+  /**
+   * When the order last entered `status`, or null if it never did.
+   */
+  async getStatusChangedAt(orderId, status) {
+    const { data, error } = await supabase
+      .from('order_status_history')
+      .select('created_at')
+      .eq('order_id', orderId)
+      .eq('to_status', status)
+      .order('created_at', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+
+    if (error) throw error;
+
+    return data ? new Date(data.created_at) : null;
+  }
 }
 
 export default new OrderService();
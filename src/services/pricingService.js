@@ -0,0 +1,395 @@
+import { config } from '../config/app.js';
+import { supabase } from '../config/supabase.js';
+import { toPoint } from '../utils/geo.js';
+import { roundMoney } from '../utils/money.js';
+import { errorResponse } from '../utils/response.js';
+import deliveryZoneService from './deliveryZoneService.js';
+import openingHoursService from './openingHoursService.js';
+import promoCodeService from './promoCodeService.js';
+import promotionService from './promotionService.js';
+import schedulingService from './schedulingService.js';
+
+// HTTP status used when a blocking warning rejects an order (default 400)
+const BLOCKING_STATUS = {
+  ITEM_UNAVAILABLE: 409,
+  RESTAURANT_CLOSED: 409,
+  OUTSIDE_DELIVERY_AREA: 422,
+  MIN_ORDER_NOT_MET: 422,
+  SLOT_UNAVAILABLE: 422,
+};
+
+/**
+ * Server-side order pricing. Prices always come from menu_items and
+ * restaurants; anything the client sends is only used for comparison.
+ */
+export class PricingService {
+  /**
+   * Price an order body (same shape as POST /api/orders), already checked
+   * by validateOrderInput().
+   * Problems found along the way are collected in `warnings`; the ones
+   * marked `blocking` prevent the order from being placed.
+   * scheduledFor (a Date from SchedulingService.parseScheduledFor) checks
+   * the slot instead of the restaurant being open now. userId enables the
+   * per-user promo code checks.
+   * Automatic promotions (PromotionService) are evaluated at the order
+   * time, or at scheduledFor. `discount` is the total of the promotion and
+   * promo code discounts.
+   */
+  async priceOrder({
+    userId,
+    restaurantId,
+    items,
+    promoCode,
+    deliveryLatitude,
+    deliveryLongitude,
+    scheduledFor = null,
+  }) {
+    const restaurant = await this._getRestaurant(restaurantId);
+    const orderTime = scheduledFor || new Date();
+    const promotions = await promotionService.getActivePromotions(restaurantId, orderTime);
+    // Free item rewards are priced like ordered items
+    const menuItems = await this._getMenuItems([
+      ...items.map(item => item.menu_item_id),
+      ...promotions.map(promotion => promotion.free_menu_item_id),
+    ]);
+    const customerLocation = toPoint(deliveryLatitude, deliveryLongitude);
+
+    const warnings = [];
+    const schedule = await this._checkAvailability(restaurant, scheduledFor, customerLocation, warnings);
+
+    const lines = items.map((item, index) =>
+      this._priceLine(item, index, menuItems, restaurantId, warnings)
+    );
+
+    const subtotal = roundMoney(
+      lines.filter(line => line.available).reduce((sum, line) => sum + line.subtotal, 0)
+    );
+    const delivery = await this._getDelivery(
+      restaurant,
+      customerLocation,
+      subtotal,
+      warnings
+    );
+    const deliveryFee = delivery.fee;
+
+    const offers = await this._applyOffers({
+      userId,
+      restaurantId,
+      promoCode,
+      promotions,
+      lines,
+      menuItems,
+      subtotal,
+      deliveryFee,
+      orderTime,
+      warnings,
+    });
+    const { promo } = offers;
+    const discount = roundMoney(offers.promotionDiscount + offers.promoCodeDiscount);
+
+    const serviceFee = roundMoney(config.pricing.serviceFee);
+    // Free-delivery codes discount the delivery fee, the rest the subtotal
+    const total = roundMoney(Math.max(subtotal + deliveryFee - discount, 0) + serviceFee);
+
+    return {
+      restaurant_id: restaurantId,
+      currency: config.pricing.currency,
+      items: [...lines, ...offers.freeLines],
+      subtotal,
+      promotions: offers.promotions,
+      promotion_discount: offers.promotionDiscount,
+      promo_code: promo ? promo.code : null,
+      promo_code_id: promo ? promo.id : null,
+      discount_type: promo ? promo.discount_type : null,
+      promo_code_discount: offers.promoCodeDiscount,
+      discount,
+      delivery_fee: deliveryFee,
+      delivery: delivery.details,
+      service_fee: serviceFee,
+      total,
+      scheduled_for: schedule?.scheduled_for ?? null,
+      release_at: schedule?.release_at ?? null,
+      warnings,
+    };
+  }
+
+  /**
+   * Throw the first blocking warning of a priced order as an API error.
+   */
+  assertOrderable(pricing) {
+    const blocking = pricing.warnings.find(warning => warning.blocking);
+    if (blocking) {
+      const error = errorResponse(blocking.message, BLOCKING_STATUS[blocking.code] || 400, blocking.code);
+      error.details = { warnings: pricing.warnings };
+      throw error;
+    }
+  }
+
+  /**
+   * Reject the order when the client's quoted total differs from ours,
+   * returning our pricing so the app can show the up-to-date amount.
+   */
+  assertQuotedTotal(pricing, quotedTotal) {
+    if (quotedTotal === undefined || quotedTotal === null) return;
+
+    const difference = Math.abs(roundMoney(quotedTotal) - pricing.total);
+    if (difference > config.pricing.totalTolerance) {
+      const error = errorResponse(
+        `Order total has changed to ${pricing.total} ${pricing.currency}`,
+        409,
+        'PRICE_MISMATCH'
+      );
+      error.details = { pricing };
+      throw error;
+    }
+  }
+
+  _priceLine(item, index, menuItems, restaurantId, warnings) {
+    const menuItem = menuItems.get(item.menu_item_id);
+    const line = {
+      menu_item_id: item.menu_item_id,
+      name: menuItem?.name || null,
+      quantity: item.quantity,
+      base_price: 0,
+      customizations: [],
+      customizations_total: 0,
+      unit_price: 0,
+      subtotal: 0,
+      available: false,
+      discount: 0,
+      promotion_id: null,
+    };
+
+    const warn = (code, message, blocking = true) =>
+      warnings.push({ code, message, index, menu_item_id: line.menu_item_id, blocking });
+
+    if (!menuItem || String(menuItem.restaurant_id) !== String(restaurantId)) {
+      warn('MENU_ITEM_NOT_FOUND', `Menu item ${line.menu_item_id} not found in this restaurant`);
+      return line;
+    }
+    if (!menuItem.is_available) {
+      warn('ITEM_UNAVAILABLE', `${menuItem.name} is currently unavailable`);
+      return line;
+    }
+
+    line.base_price = roundMoney(menuItem.price);
+    line.customizations = this._priceCustomizations(item.customizations, menuItem, warn);
+    line.customizations_total = roundMoney(
+      line.customizations.reduce((sum, c) => sum + c.price * c.quantity, 0)
+    );
+    line.unit_price = roundMoney(line.base_price + line.customizations_total);
+    line.subtotal = roundMoney(line.unit_price * line.quantity);
+    line.available = true;
+
+    if (item.price !== undefined && roundMoney(item.price) !== line.unit_price) {
+      warn(
+        'PRICE_CHANGED',
+        `Price of ${menuItem.name} is now ${line.unit_price} ${config.pricing.currency}`,
+        false
+      );
+    }
+
+    return line;
+  }
+
+  /**
+   * Match the client's selected customizations against the options stored
+   * on the menu item (menu_items.customizations: [{ id, name, price }]).
+   * Selections may be given as option ids or as { id, quantity } objects.
+   */
+  _priceCustomizations(selected, menuItem, warn) {
+    if (!Array.isArray(selected) || selected.length === 0) return [];
+
+    const options = Array.isArray(menuItem.customizations) ? menuItem.customizations : [];
+    const priced = [];
+
+    for (const selection of selected) {
+      const id = typeof selection === 'object' ? selection?.id : selection;
+      const option = options.find(o => String(o.id) === String(id));
+
+      if (!option) {
+        warn('INVALID_CUSTOMIZATION', `Customization ${id} is not available for ${menuItem.name}`);
+        continue;
+      }
+
+      priced.push({
+        id: option.id,
+        name: option.name,
+        price: roundMoney(option.price),
+        quantity: Math.max(parseInt(selection?.quantity, 10) || 1, 1),
+      });
+    }
+
+    return priced;
+  }
+
+  /**
+   * Automatic promotions and the promo code. Promotions that are not
+   * combinable with promo codes compete with the code: the customer gets
+   * whichever saves more (the code on a tie, as they asked for it).
+   * Sets the per-line discounts on `lines`.
+   */
+  async _applyOffers({
+    userId,
+    restaurantId,
+    promoCode,
+    promotions,
+    lines,
+    menuItems,
+    subtotal,
+    deliveryFee,
+    orderTime,
+    warnings,
+  }) {
+    const context = { lines, menuItems, subtotal, at: orderTime };
+    let chosen = promotionService.applyPromotions(promotions, context);
+    let promo = null;
+    let promoCodeDiscount = 0;
+
+    if (promoCode) {
+      try {
+        promo = await promoCodeService.validatePromoCode(promoCode, restaurantId, { userId, subtotal });
+      } catch (error) {
+        if ((error.statusCode || 500) >= 500) throw error;
+        warnings.push({
+          code: 'PROMO_NOT_APPLICABLE',
+          reason: error.code || null,
+          message: error.message,
+          blocking: true,
+        });
+      }
+    }
+
+    if (promo) {
+      const combinable = promotionService.applyPromotions(
+        promotions.filter(promotion => promotion.combinable_with_promo_codes),
+        context
+      );
+      const codeDiscount = roundMoney(promoCodeService.calculateDiscount(promo, {
+        subtotal: roundMoney(subtotal - combinable.discount),
+        deliveryFee,
+      }));
+
+      if (combinable.savings + codeDiscount >= chosen.savings) {
+        chosen = combinable;
+        promoCodeDiscount = codeDiscount;
+      } else {
+        warnings.push({
+          code: 'PROMO_NOT_COMBINABLE',
+          message: 'This promo code cannot be combined with the current promotions, which save you more',
+          blocking: false,
+        });
+        promo = null;
+      }
+    }
+
+    for (const [index, { amount, promotion_id }] of chosen.lineDiscounts) {
+      lines[index].discount = amount;
+      lines[index].promotion_id = promotion_id;
+    }
+
+    return {
+      promo,
+      promoCodeDiscount,
+      promotions: chosen.applied,
+      promotionDiscount: chosen.discount,
+      freeLines: chosen.freeLines,
+    };
+  }
+
+  /**
+   * ASAP orders need the restaurant open now; scheduled orders an
+   * available slot. Returns { scheduled_for, release_at } or null.
+   */
+  async _checkAvailability(restaurant, scheduledFor, customerLocation, warnings) {
+    if (scheduledFor) {
+      const slot = await schedulingService.checkSlot(restaurant, scheduledFor, customerLocation);
+      if (!slot.available) {
+        warnings.push({ code: 'SLOT_UNAVAILABLE', message: slot.reason, blocking: true });
+      }
+      return { scheduled_for: scheduledFor.toISOString(), release_at: slot.release_at };
+    }
+
+    const openStatus = await openingHoursService.getOpenStatus(restaurant);
+    if (!openStatus.is_open) {
+      warnings.push({
+        code: 'RESTAURANT_CLOSED',
+        message: openStatus.paused ? 'Restaurant is not taking orders right now' : 'Restaurant is closed',
+        next_opening_at: openStatus.next_opening_at,
+        blocking: true,
+      });
+    }
+    return null;
+  }
+
+  /**
+   * Delivery fee from the restaurant's (or its wilaya's) delivery zones.
+   * Restaurants without zones keep their flat restaurants.delivery_fee.
+   */
+  async _getDelivery(restaurant, customerLocation, subtotal, warnings) {
+    const flatFee = roundMoney(restaurant.delivery_fee ?? config.pricing.defaultDeliveryFee);
+
+    let quote;
+    try {
+      quote = await deliveryZoneService.quoteDelivery({ restaurant, customerLocation, subtotal });
+    } catch (error) {
+      if ((error.statusCode || 500) >= 500) throw error;
+      warnings.push({ code: error.code, message: error.message, blocking: true });
+      return { fee: flatFee, details: null };
+    }
+
+    if (!quote) {
+      return { fee: flatFee, details: null };
+    }
+
+    if (subtotal < quote.minOrderAmount) {
+      warnings.push({
+        code: 'MIN_ORDER_NOT_MET',
+        message: `Minimum order for this address is ${quote.minOrderAmount} ${config.pricing.currency}`,
+        blocking: true,
+      });
+    }
+
+    return {
+      fee: roundMoney(quote.fee),
+      details: {
+        zone_id: quote.zone.id,
+        zone_name: quote.zone.name,
+        distance_km: quote.distanceKm,
+        free_delivery: quote.freeDelivery,
+        min_order_amount: quote.minOrderAmount,
+      },
+    };
+  }
+
+  async _getRestaurant(restaurantId) {
+    const { data, error } = await supabase
+      .from('restaurants')
+      .select('*')
+      .eq('id', restaurantId)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!data) {
+      throw errorResponse('Restaurant not found', 404, 'RESTAURANT_NOT_FOUND');
+    }
+
+    return data;
+  }
+
+  async _getMenuItems(ids) {
+    const uniqueIds = [...new Set(ids.filter(Boolean))];
+    if (uniqueIds.length === 0) return new Map();
+
+    const { data, error } = await supabase
+      .from('menu_items')
+      .select('*')
+      .in('id', uniqueIds);
+
+    if (error) throw error;
+
+    return new Map((data || []).map(item => [item.id, item]));
+  }
+}
+
+export default new PricingService();
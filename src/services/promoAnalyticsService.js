@@ -0,0 +1,206 @@
+import { config } from '../config/app.js';
+import { ORDER_STATUS } from '../config/orderStatus.js';
+import { supabase } from '../config/supabase.js';
+import { roundMoney } from '../utils/money.js';
+import { errorResponse } from '../utils/response.js';
+import { addDays, getZonedParts, parseDateRange } from '../utils/time.js';
+import promoCodeManagementService from './promoCodeManagementService.js';
+
+export const STATS_INTERVALS = ['day', 'week', 'month'];
+
+const PAGE_SIZE = 1000;
+const ID_CHUNK = 200;
+const CANCELLED_STATUSES = [ORDER_STATUS.CANCELLED, ORDER_STATUS.REJECTED];
+// Not yet taken by the restaurant: neither completed nor cancelled
+const OPEN_STATUSES = [ORDER_STATUS.SCHEDULED, ORDER_STATUS.PENDING];
+
+const pad = value => String(value).padStart(2, '0');
+
+/**
+ * Redemption analytics for a promo code or a whole campaign, computed from
+ * the orders that used the code(s).
+ *
+ * - Cancelled and rejected orders count towards redemptions and the
+ *   cancellation rate, but not towards discount or order value. Scheduled
+ *   and pending orders are reported as open_orders, and only count towards
+ *   discount and order value once the restaurant accepts them.
+ * - A date-only `from` / `to` covers whole local days.
+ * - Gross order value is the order subtotal before discount.
+ * - A customer is new when they had no delivered order before their first
+ *   order with the code.
+ */
+export class PromoAnalyticsService {
+  async getPromoCodeStats(user, id, { from, to, interval = 'day' } = {}) {
+    const promo = await promoCodeManagementService.getPromoCode(user, id);
+    const range = parseDateRange(from, to, config.openingHours.timezone);
+    const redemptions = await this._getRedemptions([promo.id], range);
+
+    return {
+      promo_code: {
+        id: promo.id,
+        code: promo.code,
+        campaign: promo.campaign,
+        discount_type: promo.discount_type,
+        discount_value: promo.discount_value,
+      },
+      ...await this._buildReport(redemptions, range, interval),
+    };
+  }
+
+  async getCampaignStats(user, campaign, { from, to, interval = 'day' } = {}) {
+    const codes = await promoCodeManagementService.exportPromoCodes(user, { campaign });
+    if (codes.length === 0) {
+      throw errorResponse('Campaign not found', 404, 'CAMPAIGN_NOT_FOUND');
+    }
+
+    const range = parseDateRange(from, to, config.openingHours.timezone);
+    const redemptions = await this._getRedemptions(codes.map(code => code.id), range);
+
+    return {
+      campaign,
+      codes_total: codes.length,
+      codes_redeemed: new Set(redemptions.map(redemption => redemption.promo_code_id)).size,
+      ...await this._buildReport(redemptions, range, interval),
+    };
+  }
+
+  async _buildReport(redemptions, range, interval) {
+    if (!STATS_INTERVALS.includes(interval)) {
+      throw errorResponse(`interval must be one of: ${STATS_INTERVALS.join(', ')}`, 400, 'VALIDATION_ERROR');
+    }
+
+    const userIds = [...new Set(redemptions.map(redemption => redemption.user_id))];
+    const firstDelivered = await this._getFirstDeliveredOrders(userIds);
+
+    return {
+      range: { from: range.from, to: range.to },
+      interval,
+      ...this.summarize(redemptions, firstDelivered, { interval }),
+    };
+  }
+
+  /**
+   * Aggregate redemptions (each with its `order`). Pure.
+   * firstDelivered: Map of user id -> ISO date of their first delivered order.
+   */
+  summarize(redemptions, firstDelivered = new Map(), { interval = 'day', timeZone = config.openingHours.timezone } = {}) {
+    const totals = this._emptyBucket();
+    const buckets = new Map();
+    const firstOrderByUser = new Map();
+
+    for (const redemption of redemptions) {
+      const order = redemption.order || {};
+      const createdAt = order.created_at || redemption.created_at;
+      const period = this._bucketKey(new Date(createdAt), interval, timeZone);
+
+      if (!buckets.has(period)) buckets.set(period, { period, ...this._emptyBucket() });
+
+      for (const bucket of [totals, buckets.get(period)]) {
+        bucket.redemptions += 1;
+        if (CANCELLED_STATUSES.includes(order.status)) {
+          bucket.cancelled_orders += 1;
+        } else if (OPEN_STATUSES.includes(order.status)) {
+          bucket.open_orders += 1;
+        } else {
+          bucket.total_discount += Number(redemption.discount_amount) || 0;
+          bucket.gross_order_value += Number(order.subtotal) || 0;
+        }
+      }
+
+      const first = firstOrderByUser.get(redemption.user_id);
+      if (!first || createdAt < first) firstOrderByUser.set(redemption.user_id, createdAt);
+    }
+
+    let newCustomers = 0;
+    for (const [userId, firstOrderAt] of firstOrderByUser) {
+      const delivered = firstDelivered.get(userId);
+      if (!delivered || new Date(delivered) >= new Date(firstOrderAt)) newCustomers++;
+    }
+
+    return {
+      ...this._finishBucket(totals),
+      unique_users: firstOrderByUser.size,
+      new_customers: newCustomers,
+      returning_customers: firstOrderByUser.size - newCustomers,
+      timeline: [...buckets.values()]
+        .sort((a, b) => a.period.localeCompare(b.period))
+        .map(bucket => this._finishBucket(bucket)),
+    };
+  }
+
+  _emptyBucket() {
+    return { redemptions: 0, cancelled_orders: 0, open_orders: 0, total_discount: 0, gross_order_value: 0 };
+  }
+
+  _finishBucket(bucket) {
+    const completed = bucket.redemptions - bucket.cancelled_orders - bucket.open_orders;
+
+    return {
+      ...bucket,
+      total_discount: roundMoney(bucket.total_discount),
+      gross_order_value: roundMoney(bucket.gross_order_value),
+      average_order_value: completed > 0 ? roundMoney(bucket.gross_order_value / completed) : 0,
+      cancellation_rate: bucket.redemptions > 0
+        ? Math.round((bucket.cancelled_orders / bucket.redemptions) * 10000) / 10000
+        : 0,
+    };
+  }
+
+  /**
+   * Local calendar period of a date: YYYY-MM-DD for days, the Sunday
+   * starting the week (the Algerian work week) for weeks, YYYY-MM for months.
+   */
+  _bucketKey(date, interval, timeZone) {
+    const parts = getZonedParts(date, timeZone);
+    if (interval === 'month') return `${parts.year}-${pad(parts.month)}`;
+
+    const day = interval === 'week' ? addDays(parts, -parts.weekday) : parts;
+    return `${day.year}-${pad(day.month)}-${pad(day.day)}`;
+  }
+
+  async _getRedemptions(promoCodeIds, { from, to, toExclusive }) {
+    const redemptions = [];
+
+    for (let i = 0; i < promoCodeIds.length; i += ID_CHUNK) {
+      const ids = promoCodeIds.slice(i, i + ID_CHUNK);
+
+      for (let offset = 0; ; offset += PAGE_SIZE) {
+        let query = supabase
+          .from('promo_code_redemptions')
+          .select('id, promo_code_id, user_id, discount_amount, created_at, order:orders(id, status, subtotal, total, created_at)')
+          .in('promo_code_id', ids)
+          .order('id')
+          .range(offset, offset + PAGE_SIZE - 1);
+
+        if (from) query = query.gte('created_at', from);
+        if (to) query = toExclusive ? query.lt('created_at', to) : query.lte('created_at', to);
+
+        const { data, error } = await query;
+        if (error) throw error;
+
+        redemptions.push(...data);
+        if (data.length < PAGE_SIZE) break;
+      }
+    }
+
+    return redemptions;
+  }
+
+  async _getFirstDeliveredOrders(userIds) {
+    const firstDelivered = new Map();
+
+    for (let i = 0; i < userIds.length; i += ID_CHUNK) {
+      const { data, error } = await supabase.rpc('first_delivered_orders', {
+        p_user_ids: userIds.slice(i, i + ID_CHUNK),
+      });
+
+      if (error) throw error;
+      for (const row of data) firstDelivered.set(row.user_id, row.first_delivered_at);
+    }
+
+    return firstDelivered;
+  }
+}
+
+// Export singleton instance
+export default new PromoAnalyticsService();
@@ -0,0 +1,419 @@
+import { isAdmin } from '../config/permissions.js';
+import { supabase } from '../config/supabase.js';
+import { randomCode } from '../utils/codes.js';
+import { errorResponse } from '../utils/response.js';
+import promoCodeService, { DISCOUNT_TYPES } from './promoCodeService.js';
+import restaurantService from './restaurantService.js';
+
+const UNIQUE_VIOLATION = '23505';
+const CODE_PATTERN = /^[A-Z0-9][A-Z0-9_-]{2,31}$/;
+const MAX_BULK_CODES = 1000;
+const PAGE_SIZE = 1000;
+const ID_CHUNK = 200;
+
+/**
+ * Promo code management for admins and restaurant owners. Admins manage
+ * every code, including platform-wide ones (restaurant_id null); owners
+ * only codes of the restaurants they own.
+ */
+export class PromoCodeManagementService {
+  async listPromoCodes(user, { restaurantId, status = 'all', campaign, limit = 50, offset = 0 }) {
+    const scope = await this._getScope(user);
+    if (scope && scope.length === 0) return { data: [], count: 0 };
+
+    let query = supabase
+      .from('promo_codes')
+      .select('*', { count: 'exact' })
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    query = this._applyFilters(query, { scope, restaurantId, status, campaign });
+
+    const { data, error, count } = await query;
+
+    if (error) throw error;
+
+    return { data, count };
+  }
+
+  async getPromoCode(user, id) {
+    const { data, error } = await supabase
+      .from('promo_codes')
+      .select('*')
+      .eq('id', id)
+      .maybeSingle();
+
+    if (error) throw error;
+
+    const scope = await this._getScope(user);
+    // Codes of other restaurants look the same as missing ones
+    if (!data || (scope && !scope.includes(data.restaurant_id))) {
+      throw errorResponse('Promo code not found', 404, 'PROMO_NOT_FOUND');
+    }
+
+    return data;
+  }
+
+  async createPromoCode(user, input) {
+    const promo = this._validate(input);
+    await this._assertCanManage(user, promo.restaurant_id);
+
+    const { data, error } = await supabase
+      .from('promo_codes')
+      .insert({ ...promo, created_by: user.id })
+      .select()
+      .single();
+
+    if (error) throw this._mapWriteError(error);
+
+    return data;
+  }
+
+  async updatePromoCode(user, id, input) {
+    const current = await this.getPromoCode(user, id);
+    const changes = this._validate(input, { current });
+
+    if (changes.restaurant_id !== undefined && changes.restaurant_id !== current.restaurant_id) {
+      await this._assertCanManage(user, changes.restaurant_id);
+    }
+
+    const { data, error } = await supabase
+      .from('promo_codes')
+      .update({ ...changes, updated_at: new Date().toISOString() })
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error) throw this._mapWriteError(error);
+
+    return data;
+  }
+
+  /**
+   * Stop a code from being used. Past redemptions are kept.
+   */
+  async deactivatePromoCode(user, id) {
+    await this.getPromoCode(user, id);
+
+    const { data, error } = await supabase
+      .from('promo_codes')
+      .update({ is_active: false, updated_at: new Date().toISOString() })
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    return data;
+  }
+
+  /**
+   * Generate `count` unique single-use codes for a campaign, all sharing
+   * the discount settings of `template`. Generated codes are not public.
+   */
+  async generatePromoCodes(user, { count, prefix = '', length = 8, campaign, ...template }) {
+    const total = Number(count);
+    const codeLength = Number(length);
+    const codePrefix = String(prefix || '').toUpperCase();
+
+    const errors = [];
+    if (!Number.isInteger(total) || total < 1 || total > MAX_BULK_CODES) {
+      errors.push({ field: 'count', message: `count must be an integer between 1 and ${MAX_BULK_CODES}` });
+    }
+    if (!Number.isInteger(codeLength) || codeLength < 6 || codeLength > 16) {
+      errors.push({ field: 'length', message: 'length must be an integer between 6 and 16' });
+    }
+    if (!/^[A-Z0-9]{0,10}$/.test(codePrefix)) {
+      errors.push({ field: 'prefix', message: 'prefix must be at most 10 letters or digits' });
+    }
+    if (!campaign || typeof campaign !== 'string' || campaign.trim().length > 100) {
+      errors.push({ field: 'campaign', message: 'campaign is required (at most 100 characters)' });
+    }
+    this._throwValidation(errors);
+
+    const settings = this._validate({
+      ...template,
+      code: `${codePrefix}${'X'.repeat(codeLength)}`,
+      usage_limit: 1,
+      per_user_limit: 1,
+      is_public: false,
+    });
+    delete settings.code;
+    settings.campaign = campaign.trim();
+
+    await this._assertCanManage(user, settings.restaurant_id);
+
+    const codes = await this._generateUniqueCodes(total, codePrefix, codeLength);
+
+    const { data, error } = await supabase
+      .from('promo_codes')
+      .insert(codes.map(code => ({ ...settings, code, created_by: user.id })))
+      .select();
+
+    if (error) throw this._mapWriteError(error);
+
+    return { campaign: settings.campaign, count: data.length, codes: data };
+  }
+
+  /**
+   * All codes matching the filters, with their current redemption count
+   * (for CSV export).
+   */
+  async exportPromoCodes(user, { restaurantId, status = 'all', campaign }) {
+    const scope = await this._getScope(user);
+    if (scope && scope.length === 0) return [];
+
+    const codes = [];
+    for (let from = 0; ; from += PAGE_SIZE) {
+      const query = this._applyFilters(
+        supabase
+          .from('promo_codes')
+          .select('*')
+          .order('created_at', { ascending: true })
+          .range(from, from + PAGE_SIZE - 1),
+        { scope, restaurantId, status, campaign }
+      );
+
+      const { data, error } = await query;
+      if (error) throw error;
+
+      codes.push(...data);
+      if (data.length < PAGE_SIZE) break;
+    }
+
+    const used = await this._countRedemptions(codes.map(code => code.id));
+
+    return codes.map(code => ({ ...code, redemptions: used.get(code.id) || 0 }));
+  }
+
+  _applyFilters(query, { scope, restaurantId, status, campaign }) {
+    if (scope) {
+      query = query.in('restaurant_id', scope);
+    }
+    if (restaurantId) {
+      query = query.eq('restaurant_id', restaurantId);
+    }
+    if (campaign) {
+      query = query.eq('campaign', campaign);
+    }
+    return promoCodeService.applyStatusFilter(query, status);
+  }
+
+  /**
+   * Restaurant ids a user may manage codes for; null means all (admin).
+   */
+  async _getScope(user) {
+    if (isAdmin(user)) return null;
+    return restaurantService.getOwnedRestaurantIds(user.id);
+  }
+
+  async _assertCanManage(user, restaurantId) {
+    if (isAdmin(user)) return;
+
+    if (!restaurantId) {
+      throw errorResponse('restaurant_id is required', 400, 'VALIDATION_ERROR');
+    }
+
+    const owned = await restaurantService.getOwnedRestaurantIds(user.id);
+    if (!owned.includes(restaurantId)) {
+      throw errorResponse('You can only manage promo codes of your own restaurants', 403, 'FORBIDDEN');
+    }
+  }
+
+  async _generateUniqueCodes(total, prefix, length) {
+    const codes = new Set();
+
+    // Collisions with existing codes are rare; retry a few times
+    for (let attempt = 0; attempt < 5 && codes.size < total; attempt++) {
+      const candidates = new Set();
+      while (candidates.size < total - codes.size) {
+        const code = randomCode(length, prefix);
+        if (!codes.has(code)) candidates.add(code);
+      }
+
+      const taken = await this._findExistingCodes([...candidates]);
+      for (const code of candidates) {
+        if (!taken.has(code)) codes.add(code);
+      }
+    }
+
+    if (codes.size < total) {
+      throw errorResponse('Could not generate enough unique codes, use a longer length', 409, 'PROMO_CODE_EXISTS');
+    }
+
+    return [...codes];
+  }
+
+  async _findExistingCodes(codes) {
+    const taken = new Set();
+
+    for (let i = 0; i < codes.length; i += ID_CHUNK) {
+      const { data, error } = await supabase
+        .from('promo_codes')
+        .select('code')
+        .in('code', codes.slice(i, i + ID_CHUNK));
+
+      if (error) throw error;
+      for (const row of data) taken.add(row.code);
+    }
+
+    return taken;
+  }
+
+  async _countRedemptions(promoCodeIds) {
+    const counts = new Map();
+
+    for (let i = 0; i < promoCodeIds.length; i += ID_CHUNK) {
+      const { data, error } = await supabase
+        .from('promo_code_redemptions')
+        .select('promo_code_id')
+        .in('promo_code_id', promoCodeIds.slice(i, i + ID_CHUNK))
+        .is('released_at', null);
+
+      if (error) throw error;
+      for (const row of data) {
+        counts.set(row.promo_code_id, (counts.get(row.promo_code_id) || 0) + 1);
+      }
+    }
+
+    return counts;
+  }
+
+  /**
+   * Check a create (all fields) or update (`current` given, only the fields
+   * present) body. Returns the columns to write.
+   */
+  _validate(input, { current = null } = {}) {
+    const body = input || {};
+    const has = field => body[field] !== undefined;
+    const creating = !current;
+    const changes = {};
+    const errors = [];
+
+    const amount = (field, { nullable = false } = {}) => {
+      if (!has(field)) return;
+      if (body[field] === null && nullable) {
+        changes[field] = null;
+        return;
+      }
+      const value = Number(body[field]);
+      if (!Number.isFinite(value) || value < 0) {
+        errors.push({ field, message: `${field} must be a positive amount` });
+        return;
+      }
+      changes[field] = Math.round(value * 100) / 100;
+    };
+
+    const limit = field => {
+      if (!has(field)) return;
+      if (body[field] === null) {
+        changes[field] = null;
+        return;
+      }
+      const value = Number(body[field]);
+      if (!Number.isInteger(value) || value < 1) {
+        errors.push({ field, message: `${field} must be a positive integer or null` });
+        return;
+      }
+      changes[field] = value;
+    };
+
+    const date = field => {
+      if (!has(field)) return;
+      if (body[field] === null) {
+        changes[field] = null;
+        return;
+      }
+      const value = new Date(body[field]);
+      if (Number.isNaN(value.getTime())) {
+        errors.push({ field, message: `${field} must be an ISO 8601 date` });
+        return;
+      }
+      changes[field] = value.toISOString();
+    };
+
+    const flag = field => {
+      if (!has(field)) return;
+      if (typeof body[field] !== 'boolean') {
+        errors.push({ field, message: `${field} must be a boolean` });
+        return;
+      }
+      changes[field] = body[field];
+    };
+
+    if (has('code') || creating) {
+      const code = String(body.code ?? '').trim().toUpperCase();
+      if (!CODE_PATTERN.test(code)) {
+        errors.push({ field: 'code', message: 'code must be 3-32 letters, digits, - or _' });
+      } else {
+        changes.code = code;
+      }
+    }
+
+    if (has('restaurant_id')) {
+      changes.restaurant_id = body.restaurant_id || null;
+    }
+
+    if (has('discount_type') || creating) {
+      if (!DISCOUNT_TYPES.includes(body.discount_type)) {
+        errors.push({ field: 'discount_type', message: `discount_type must be one of: ${DISCOUNT_TYPES.join(', ')}` });
+      } else {
+        changes.discount_type = body.discount_type;
+      }
+    }
+
+    amount('discount_value');
+    amount('max_discount_amount', { nullable: true });
+    amount('min_order_amount');
+    limit('usage_limit');
+    limit('per_user_limit');
+    date('start_date');
+    date('end_date');
+    flag('first_order_only');
+    flag('is_active');
+    flag('is_public');
+
+    if (has('description')) {
+      changes.description = body.description ? String(body.description).slice(0, 500) : null;
+    }
+    if (has('campaign')) {
+      changes.campaign = body.campaign ? String(body.campaign).trim().slice(0, 100) : null;
+    }
+
+    // Cross-field rules on the resulting code
+    const merged = { ...current, ...changes };
+    const value = Number(merged.discount_value) || 0;
+
+    if (merged.discount_type === 'percentage' && (value <= 0 || value > 100)) {
+      errors.push({ field: 'discount_value', message: 'A percentage discount must be between 0 and 100' });
+    }
+    if (merged.discount_type === 'fixed' && value <= 0) {
+      errors.push({ field: 'discount_value', message: 'A fixed discount must be greater than 0' });
+    }
+    if (merged.start_date && merged.end_date && new Date(merged.end_date) <= new Date(merged.start_date)) {
+      errors.push({ field: 'end_date', message: 'end_date must be after start_date' });
+    }
+
+    this._throwValidation(errors);
+
+    return changes;
+  }
+
+  _throwValidation(errors) {
+    if (errors.length === 0) return;
+
+    const error = errorResponse('Invalid promo code', 400, 'VALIDATION_ERROR');
+    error.details = { errors };
+    throw error;
+  }
+
+  _mapWriteError(error) {
+    if (error.code === UNIQUE_VIOLATION) {
+      return errorResponse('A promo code with this code already exists', 409, 'PROMO_CODE_EXISTS');
+    }
+    return error;
+  }
+}
+
+// Export singleton instance
+export default new PromoCodeManagementService();
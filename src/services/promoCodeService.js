@@ -1,10 +1,33 @@
+import { config } from '../config/app.js';
+import { ORDER_STATUS } from '../config/orderStatus.js';
 import { supabase } from '../config/supabase.js';
+import { quoteFilterValue } from '../utils/postgrest.js';
+import { errorResponse } from '../utils/response.js';
+
+export const DISCOUNT_TYPES = ['percentage', 'fixed', 'free_delivery'];
+export const PROMO_STATUSES = ['active', 'scheduled', 'expired', 'inactive', 'all'];
+
+/**
+ * Usage limit and personal code errors, also raised by
+ * create_order_with_items under these names when they are rechecked
+ * under lock at order creation.
+ */
+export const PROMO_LIMIT_ERRORS = {
+  PROMO_USAGE_LIMIT_REACHED: 'Promo code usage limit reached',
+  PROMO_USER_LIMIT_REACHED: 'You have already used this promo code',
+  PROMO_NOT_ASSIGNED: 'Promo code not found',
+};
 
 export class PromoCodeService {
+  /**
+   * Public listing: currently active codes meant to be advertised
+   * (campaign codes generated in bulk are not).
+   */
   async getPromoCodes({ restaurantId, limit = 20, offset = 0 }) {
     let query = supabase
       .from('promo_codes')
       .select('*', { count: 'exact' })
+      .eq('is_public', true)
       .order('created_at', { ascending: false })
       .range(offset, offset + limit - 1);
 
@@ -12,33 +35,64 @@ export class PromoCodeService {
       query = query.eq('restaurant_id', restaurantId);
     }
 
+    query = this.applyStatusFilter(query, 'active');
+
     const { data, error, count } = await query;
 
     if (error) throw error;
 
-    // Filter active promo codes based on dates
-    const now = new Date();
-    const activePromos = data.filter(promo => {
-      const startDate = promo.start_date ? new Date(promo.start_date) : null;
-      const endDate = promo.end_date ? new Date(promo.end_date) : null;
-
-      if (startDate && now < startDate) return false;
-      if (endDate && now > endDate) return false;
+    return { data, count };
+  }
 
-      return true;
-    });
+  /**
+   * Restrict a promo_codes query to one of PROMO_STATUSES.
+   */
+  applyStatusFilter(query, status, now = new Date()) {
+    const at = quoteFilterValue(now.toISOString());
 
-    return { data: activePromos, count: activePromos.length };
+    switch (status) {
+      case 'active':
+        return query
+          .eq('is_active', true)
+          .or(`and(or(start_date.is.null,start_date.lte.${at}),or(end_date.is.null,end_date.gte.${at}))`);
+      case 'scheduled':
+        return query.eq('is_active', true).gt('start_date', now.toISOString());
+      case 'expired':
+        return query.lt('end_date', now.toISOString());
+      case 'inactive':
+        return query.eq('is_active', false);
+      case 'all':
+      case undefined:
+        return query;
+      default:
+        throw errorResponse(`status must be one of: ${PROMO_STATUSES.join(', ')}`, 400, 'VALIDATION_ERROR');
+    }
   }
 
-  async validatePromoCode(code, restaurantId) {
+  /**
+   * Check that a promo code can be used. Returns the promo_codes row.
+   *
+   * With `subtotal` the minimum order value is checked; with `userId` the
+   * per-user limit and first-order-only codes. The global and per-user
+   * limits are checked again atomically when the order is created (see
+   * create_order_with_items).
+   */
+  async validatePromoCode(code, restaurantId, { userId, subtotal } = {}) {
     const { data, error } = await supabase
       .from('promo_codes')
       .select('*')
-      .eq('code', code.toUpperCase())
-      .single();
+      .eq('code', String(code).trim().toUpperCase())
+      .maybeSingle();
 
-    if (error) throw new Error('Promo code not found');
+    if (error) throw error;
+    // Personal codes (e.g. referral rewards) look missing to anyone else
+    if (!data || (data.assigned_user_id && data.assigned_user_id !== userId)) {
+      throw errorResponse('Promo code not found', 404, 'PROMO_NOT_FOUND');
+    }
+
+    if (data.is_active === false) {
+      throw errorResponse('Promo code is not active', 400, 'PROMO_NOT_ACTIVE');
+    }
 
     // Validate dates
     const now = new Date();
@@ -46,19 +100,127 @@ export class PromoCodeService {
     const endDate = data.end_date ? new Date(data.end_date) : null;
 
     if (startDate && now < startDate) {
-      throw new Error('Promo code not yet active');
+      throw errorResponse('Promo code not yet active', 400, 'PROMO_NOT_ACTIVE');
     }
     if (endDate && now > endDate) {
-      throw new Error('Promo code has expired');
+      throw errorResponse('Promo code has expired', 400, 'PROMO_EXPIRED');
     }
 
     // Validate restaurant
     if (data.restaurant_id && data.restaurant_id !== restaurantId) {
-      throw new Error('Promo code not valid for this restaurant');
+      throw errorResponse('Promo code not valid for this restaurant', 400, 'PROMO_WRONG_RESTAURANT');
+    }
+
+    const minOrder = Number(data.min_order_amount) || 0;
+    if (subtotal !== undefined && subtotal < minOrder) {
+      const minError = errorResponse(
+        `Minimum order for this promo code is ${minOrder} ${config.pricing.currency}`,
+        400,
+        'PROMO_MIN_ORDER_NOT_MET'
+      );
+      minError.details = { min_order_amount: minOrder };
+      throw minError;
+    }
+
+    if (data.usage_limit !== null && data.usage_limit !== undefined) {
+      const used = await this._countRedemptions({ promoCodeId: data.id });
+      if (used >= data.usage_limit) {
+        throw errorResponse(PROMO_LIMIT_ERRORS.PROMO_USAGE_LIMIT_REACHED, 400, 'PROMO_USAGE_LIMIT_REACHED');
+      }
+    }
+
+    if (userId) {
+      if (data.per_user_limit !== null && data.per_user_limit !== undefined) {
+        const usedByUser = await this._countRedemptions({ promoCodeId: data.id, userId });
+        if (usedByUser >= data.per_user_limit) {
+          throw errorResponse(PROMO_LIMIT_ERRORS.PROMO_USER_LIMIT_REACHED, 400, 'PROMO_USER_LIMIT_REACHED');
+        }
+      }
+
+      if (data.first_order_only && await this._hasPreviousOrder(userId)) {
+        throw errorResponse('Promo code is only valid on your first order', 400, 'PROMO_FIRST_ORDER_ONLY');
+      }
     }
 
     return data;
   }
+
+  /**
+   * Give back the usage taken by an order that did not go through
+   * (cancelled or rejected), so it no longer counts against limits.
+   */
+  async releaseRedemption(orderId) {
+    const { error } = await supabase
+      .from('promo_code_redemptions')
+      .update({ released_at: new Date().toISOString() })
+      .eq('order_id', orderId)
+      .is('released_at', null);
+
+    if (error) throw error;
+  }
+
+  /**
+   * Discount granted by a validated promo code, in DZD.
+   * - percentage: discount_value % of the subtotal
+   * - fixed: discount_value off the subtotal
+   * - free_delivery: the delivery fee
+   * Capped by max_discount_amount, and never more than what it applies to.
+   */
+  calculateDiscount(promo, { subtotal, deliveryFee = 0 }) {
+    const value = Number(promo?.discount_value) || 0;
+    let discount = 0;
+    let base = subtotal;
+
+    if (promo?.discount_type === 'percentage') {
+      discount = (subtotal * value) / 100;
+    } else if (promo?.discount_type === 'fixed') {
+      discount = value;
+    } else if (promo?.discount_type === 'free_delivery') {
+      discount = deliveryFee;
+      base = deliveryFee;
+    }
+
+    const cap = Number(promo?.max_discount_amount);
+    if (promo?.max_discount_amount !== null && promo?.max_discount_amount !== undefined && cap >= 0) {
+      discount = Math.min(discount, cap);
+    }
+
+    return Math.min(Math.max(discount, 0), base);
+  }
+
+  /**
+   * Redemptions still counting against limits (not released).
+   */
+  async _countRedemptions({ promoCodeId, userId }) {
+    let query = supabase
+      .from('promo_code_redemptions')
+      .select('id', { count: 'exact', head: true })
+      .eq('promo_code_id', promoCodeId)
+      .is('released_at', null);
+
+    if (userId) {
+      query = query.eq('user_id', userId);
+    }
+
+    const { count, error } = await query;
+
+    if (error) throw error;
+
+    return count || 0;
+  }
+
+  async _hasPreviousOrder(userId) {
+    const { data, error } = await supabase
+      .from('orders')
+      .select('id')
+      .eq('user_id', userId)
+      .not('status', 'in', `(${ORDER_STATUS.CANCELLED},${ORDER_STATUS.REJECTED})`)
+      .limit(1);
+
+    if (error) throw error;
+
+    return data.length > 0;
+  }
 }
 
 export default new PromoCodeService();
@@ -0,0 +1,261 @@
+import { config } from '../config/app.js';
+import { supabase } from '../config/supabase.js';
+import { roundMoney } from '../utils/money.js';
+import { quoteFilterValue } from '../utils/postgrest.js';
+import { getZonedParts, parseTimeOfDay } from '../utils/time.js';
+
+export const PROMOTION_TYPES = ['percentage', 'fixed', 'bogo', 'free_item'];
+
+/**
+ * Automatic promotions: restaurant offers applied without a code.
+ *
+ * promotions row: { id, restaurant_id, name, type, value, max_discount_amount,
+ *   menu_item_ids[], categories[] (eligible items, none = all items),
+ *   min_basket_amount, days_of_week[] (0 = Sunday), start_time, end_time
+ *   (local wall clock, may wrap midnight), starts_at, ends_at,
+ *   buy_quantity, get_quantity (bogo), free_menu_item_id, free_quantity
+ *   (free_item), priority, combinable_with_promo_codes, is_active }
+ *
+ * Stacking: promotions are tried by priority, then by discount (best
+ * first); an order line is discounted by one promotion at most. Free item
+ * rewards are added as extra lines priced 0 and do not claim lines.
+ */
+export class PromotionService {
+  /**
+   * Active promotions of a restaurant at a given time (date range only;
+   * days and time windows are checked by applyPromotions).
+   */
+  async getActivePromotions(restaurantId, at = new Date()) {
+    const now = quoteFilterValue(at.toISOString());
+
+    const { data, error } = await supabase
+      .from('promotions')
+      .select('*')
+      .eq('restaurant_id', restaurantId)
+      .eq('is_active', true)
+      .or(`and(or(starts_at.is.null,starts_at.lte.${now}),or(ends_at.is.null,ends_at.gt.${now}))`);
+
+    if (error) throw error;
+
+    return data;
+  }
+
+  /**
+   * Apply promotions to priced order lines. Pure.
+   * lines: PricingService lines; menuItems: Map of id -> menu_items row
+   * (for categories and free item rewards).
+   * Returns { applied, lineDiscounts: Map(line index -> { amount, promotion_id }),
+   * freeLines, discount, savings } where savings also counts free items.
+   */
+  applyPromotions(promotions, { lines, menuItems, subtotal, at = new Date(), timeZone = config.openingHours.timezone }) {
+    const local = getZonedParts(at, timeZone);
+    const eligible = promotions.filter(promotion => this.isEligible(promotion, { local, subtotal }));
+
+    // Rank on the whole basket, then apply best first on the lines left
+    const ranked = eligible
+      .map(promotion => ({
+        promotion,
+        estimate: this._evaluate(promotion, lines, new Set(), menuItems),
+      }))
+      .filter(({ estimate }) => estimate)
+      .sort((a, b) => (b.promotion.priority || 0) - (a.promotion.priority || 0)
+        || b.estimate.savings - a.estimate.savings);
+
+    const claimed = new Set();
+    const lineDiscounts = new Map();
+    const applied = [];
+    const freeLines = [];
+
+    for (const { promotion } of ranked) {
+      const result = this._evaluate(promotion, lines, claimed, menuItems);
+      if (!result) continue;
+
+      for (const [index, amount] of result.lineDiscounts) {
+        claimed.add(index);
+        lineDiscounts.set(index, { amount, promotion_id: promotion.id });
+      }
+      freeLines.push(...result.freeLines);
+
+      applied.push({
+        promotion_id: promotion.id,
+        name: promotion.name,
+        type: promotion.type,
+        discount_amount: result.discount,
+        combinable_with_promo_codes: Boolean(promotion.combinable_with_promo_codes),
+        menu_item_ids: [...result.lineDiscounts.keys()].map(index => lines[index].menu_item_id),
+        free_items: result.freeLines.map(line => ({
+          menu_item_id: line.menu_item_id,
+          name: line.name,
+          quantity: line.quantity,
+          value: roundMoney(line.base_price * line.quantity),
+        })),
+      });
+    }
+
+    return {
+      applied,
+      lineDiscounts,
+      freeLines,
+      discount: roundMoney(applied.reduce((sum, promotion) => sum + promotion.discount_amount, 0)),
+      savings: roundMoney(applied.reduce((sum, promotion) =>
+        sum + promotion.discount_amount + promotion.free_items.reduce((total, item) => total + item.value, 0), 0)),
+    };
+  }
+
+  /**
+   * Day, time window and minimum basket checks. `local` is the order time
+   * as getZonedParts() fields.
+   */
+  isEligible(promotion, { local, subtotal }) {
+    if (!PROMOTION_TYPES.includes(promotion.type)) return false;
+
+    if (subtotal < (Number(promotion.min_basket_amount) || 0)) return false;
+
+    const days = promotion.days_of_week || [];
+    const start = parseTimeOfDay(promotion.start_time);
+    const end = parseTimeOfDay(promotion.end_time);
+    const minute = local.hour * 60 + local.minute;
+
+    if (start === null || end === null) {
+      return days.length === 0 || days.includes(local.weekday);
+    }
+
+    if (start <= end) {
+      return (days.length === 0 || days.includes(local.weekday)) && minute >= start && minute < end;
+    }
+
+    // Window across midnight: the early part belongs to the previous day
+    if (minute >= start) return days.length === 0 || days.includes(local.weekday);
+    if (minute < end) return days.length === 0 || days.includes((local.weekday + 6) % 7);
+    return false;
+  }
+
+  _isEligibleLine(promotion, line, menuItems) {
+    if (!line.available || line.free) return false;
+
+    const itemIds = promotion.menu_item_ids || [];
+    const categories = promotion.categories || [];
+    if (itemIds.length === 0 && categories.length === 0) return true;
+
+    return itemIds.some(id => String(id) === String(line.menu_item_id))
+      || categories.includes(menuItems.get(line.menu_item_id)?.category);
+  }
+
+  /**
+   * Discount of one promotion on the unclaimed eligible lines, or null
+   * when it gives nothing.
+   */
+  _evaluate(promotion, lines, claimed, menuItems) {
+    const indexes = lines
+      .map((line, index) => index)
+      .filter(index => !claimed.has(index) && this._isEligibleLine(promotion, lines[index], menuItems));
+
+    if (promotion.type === 'free_item') {
+      return this._evaluateFreeItem(promotion, lines, indexes, menuItems);
+    }
+    if (indexes.length === 0) return null;
+
+    let lineDiscounts;
+    if (promotion.type === 'bogo') {
+      lineDiscounts = this._bogoDiscounts(promotion, lines, indexes);
+    } else {
+      const base = indexes.reduce((sum, index) => sum + lines[index].subtotal, 0);
+      let discount = promotion.type === 'percentage'
+        ? base * Math.min(Number(promotion.value) || 0, 100) / 100
+        : Math.min(Number(promotion.value) || 0, base);
+
+      if (promotion.max_discount_amount !== null && promotion.max_discount_amount !== undefined) {
+        discount = Math.min(discount, Number(promotion.max_discount_amount));
+      }
+
+      lineDiscounts = this._spread(discount, lines, indexes);
+    }
+
+    const discount = roundMoney([...lineDiscounts.values()].reduce((sum, amount) => sum + amount, 0));
+    if (discount <= 0) return null;
+
+    return { discount, savings: discount, lineDiscounts, freeLines: [] };
+  }
+
+  /**
+   * Buy `buy_quantity` get `get_quantity` free: eligible units are sorted
+   * by price, highest first, and the last units of each group are free.
+   */
+  _bogoDiscounts(promotion, lines, indexes) {
+    const buy = Math.max(parseInt(promotion.buy_quantity, 10) || 1, 1);
+    const get = Math.max(parseInt(promotion.get_quantity, 10) || 1, 1);
+
+    const units = indexes
+      .flatMap(index => Array.from({ length: lines[index].quantity }, () => index))
+      .sort((a, b) => lines[b].unit_price - lines[a].unit_price);
+
+    const lineDiscounts = new Map();
+    for (let i = buy; i < units.length; i += buy + get) {
+      for (const index of units.slice(i, i + get)) {
+        lineDiscounts.set(index, roundMoney((lineDiscounts.get(index) || 0) + lines[index].unit_price));
+      }
+    }
+
+    return lineDiscounts;
+  }
+
+  /**
+   * A free item when the basket (or, with item/category rules, at least
+   * one matching line) qualifies. Needs the reward item to be available.
+   */
+  _evaluateFreeItem(promotion, lines, indexes, menuItems) {
+    const hasRules = (promotion.menu_item_ids || []).length > 0 || (promotion.categories || []).length > 0;
+    if (hasRules && indexes.length === 0) return null;
+
+    const reward = menuItems.get(promotion.free_menu_item_id);
+    if (!reward || !reward.is_available || String(reward.restaurant_id) !== String(promotion.restaurant_id)) {
+      return null;
+    }
+
+    const quantity = Math.max(parseInt(promotion.free_quantity, 10) || 1, 1);
+    const line = {
+      menu_item_id: reward.id,
+      name: reward.name,
+      quantity,
+      base_price: roundMoney(reward.price),
+      customizations: [],
+      customizations_total: 0,
+      unit_price: 0,
+      subtotal: 0,
+      available: true,
+      free: true,
+      discount: 0,
+      promotion_id: promotion.id,
+    };
+
+    return {
+      discount: 0,
+      savings: roundMoney(line.base_price * quantity),
+      lineDiscounts: new Map(),
+      freeLines: [line],
+    };
+  }
+
+  /**
+   * Split an order-level amount over lines in proportion to their subtotal.
+   */
+  _spread(amount, lines, indexes) {
+    const base = indexes.reduce((sum, index) => sum + lines[index].subtotal, 0);
+    const shares = new Map();
+    if (base <= 0 || amount <= 0) return shares;
+
+    let remaining = roundMoney(amount);
+    indexes.forEach((index, position) => {
+      const share = position === indexes.length - 1
+        ? remaining
+        : roundMoney(amount * lines[index].subtotal / base);
+      shares.set(index, share);
+      remaining = roundMoney(remaining - share);
+    });
+
+    return shares;
+  }
+}
+
+// Export singleton instance
+export default new PromotionService();
@@ -0,0 +1,440 @@
+import { config } from '../config/app.js';
+import { ORDER_STATUS } from '../config/orderStatus.js';
+import { supabase, supabaseAdmin } from '../config/supabase.js';
+import { randomCode } from '../utils/codes.js';
+import { roundMoney } from '../utils/money.js';
+import { errorResponse } from '../utils/response.js';
+
+export const REFERRAL_STATUS = {
+  PENDING: 'pending',
+  REWARDED: 'rewarded',
+  REJECTED: 'rejected',
+};
+
+const UNIQUE_VIOLATION = '23505';
+const REFERRAL_CODE_LENGTH = 8;
+const REWARD_CODE_LENGTH = 8;
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const PAGE_SIZE = 1000;
+const ID_CHUNK = 200;
+
+/**
+ * Phones are the same subscriber when their national numbers (last 9
+ * digits in Algeria) match, whatever the formatting (+213 / 0 prefix).
+ */
+const samePhone = (a, b) => {
+  const digitsA = String(a || '').replace(/\D/g, '');
+  const digitsB = String(b || '').replace(/\D/g, '');
+  return digitsA.length >= 9 && digitsA.slice(-9) === digitsB.slice(-9);
+};
+
+/**
+ * Referral programme. Every user gets a personal code; a new user enters
+ * it right after signing up (claimReferral), and once their first order is
+ * delivered both users receive a single-use promo code (rewardReferral).
+ *
+ * Fraud guards: no self-referral (same account or same phone number), one
+ * device per referred account (devices are recorded in user_devices), only
+ * accounts younger than config.referrals.claimWindowHours without orders,
+ * and a cap on rewards per referrer.
+ */
+export class ReferralService {
+  constructor() {
+    this.timer = null;
+  }
+
+  /**
+   * The user's referral code, created on first use.
+   */
+  async getOrCreateCode(userId) {
+    const { data, error } = await supabase
+      .from('referral_codes')
+      .select('code')
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (data) return data.code;
+
+    for (let attempt = 0; attempt < 5; attempt++) {
+      const { data: created, error: insertError } = await supabase
+        .from('referral_codes')
+        .insert({ user_id: userId, code: randomCode(REFERRAL_CODE_LENGTH) })
+        .select('code')
+        .single();
+
+      if (!insertError) return created.code;
+      if (insertError.code !== UNIQUE_VIOLATION) throw insertError;
+
+      // Either the code was taken or a concurrent request created ours
+      const existing = await this._findCodeByUser(userId);
+      if (existing) return existing;
+    }
+
+    throw errorResponse('Could not generate a referral code, please retry', 503, 'REFERRAL_CODE_UNAVAILABLE');
+  }
+
+  /**
+   * Remember that a user signed in from a device (for the same-device guard).
+   */
+  async recordDevice(userId, deviceId) {
+    if (!deviceId) return;
+
+    const { error } = await supabase
+      .from('user_devices')
+      .upsert({ user_id: userId, device_id: deviceId, last_seen_at: new Date().toISOString() });
+
+    if (error) throw error;
+  }
+
+  /**
+   * Attribute a new user to the owner of a referral code.
+   */
+  async claimReferral(user, { code, deviceId }) {
+    if (!code) {
+      throw errorResponse('code is required', 400, 'VALIDATION_ERROR');
+    }
+    if (!deviceId) {
+      throw errorResponse('A device id is required to use a referral code', 400, 'VALIDATION_ERROR');
+    }
+
+    const { data: referralCode, error } = await supabase
+      .from('referral_codes')
+      .select('user_id, code, referrer:user_profiles(id, phone)')
+      .eq('code', String(code).trim().toUpperCase())
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!referralCode) {
+      throw errorResponse('Referral code not found', 404, 'REFERRAL_CODE_NOT_FOUND');
+    }
+
+    if (referralCode.user_id === user.id || samePhone(referralCode.referrer?.phone, user.phone)) {
+      throw errorResponse('You cannot use your own referral code', 400, 'REFERRAL_SELF');
+    }
+
+    await this._assertNewCustomer(user.id);
+    await this._assertDeviceUnused(user.id, deviceId);
+    await this.recordDevice(user.id, deviceId);
+
+    const { data, error: insertError } = await supabase
+      .from('referrals')
+      .insert({
+        referrer_id: referralCode.user_id,
+        referee_id: user.id,
+        code: referralCode.code,
+        device_id: deviceId,
+        status: REFERRAL_STATUS.PENDING,
+      })
+      .select()
+      .single();
+
+    if (insertError) {
+      if (insertError.code === UNIQUE_VIOLATION) {
+        throw errorResponse('You have already used a referral code', 409, 'REFERRAL_ALREADY_CLAIMED');
+      }
+      throw insertError;
+    }
+
+    return data;
+  }
+
+  /**
+   * Reward both users once a referred user's first order is delivered.
+   * Called by OrderService on every delivered order and by
+   * retryPendingRewards; a no-op for users without a pending referral or
+   * without a delivered order. Returns the issued rewards or null.
+   *
+   * The qualifying order is always the referee's first delivered one, so a
+   * retry after later orders still rewards (or rejects) the same order.
+   * The reward_referral database function closes the referral, checks the
+   * referrer cap and creates both codes in one transaction: a failure leaves
+   * the referral pending for the next retry.
+   */
+  async rewardReferral(refereeId) {
+    const { data: referral, error } = await supabase
+      .from('referrals')
+      .select('*')
+      .eq('referee_id', refereeId)
+      .eq('status', REFERRAL_STATUS.PENDING)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!referral) return null;
+
+    const order = await this._getFirstDeliveredOrder(refereeId);
+    if (!order) return null;
+
+    const rejection = this._getRejectionReason(order);
+    if (rejection) {
+      await this._closeReferral(referral, REFERRAL_STATUS.REJECTED, { rejection_reason: rejection });
+      return null;
+    }
+
+    const endDate = new Date(Date.now() + config.referrals.rewardValidityDays * DAY_MS);
+
+    // Codes are drawn here; a taken one rolls the whole call back
+    for (let attempt = 0; attempt < 5; attempt++) {
+      const rewards = [
+        { user_id: referral.referrer_id, role: 'referrer', amount: config.referrals.referrerReward },
+        { user_id: referral.referee_id, role: 'referee', amount: config.referrals.refereeReward },
+      ].map(reward => ({
+        ...reward,
+        code: randomCode(REWARD_CODE_LENGTH, 'REF'),
+        description: reward.role === 'referrer' ? 'Thanks for inviting a friend' : 'Welcome reward',
+      }));
+
+      const { data, error: rewardError } = await supabase.rpc('reward_referral', {
+        p_referral_id: referral.id,
+        p_order_id: order.id,
+        p_rewards: rewards,
+        p_end_date: endDate.toISOString(),
+        p_max_rewards: config.referrals.maxRewardsPerReferrer,
+      });
+
+      if (rewardError?.code === UNIQUE_VIOLATION) continue;
+      if (rewardError) throw rewardError;
+
+      // Empty when another call closed the referral or the referrer hit the cap
+      if (data.length === 0) return null;
+
+      return data.map(reward => ({
+        ...reward,
+        code: rewards.find(issued => issued.role === reward.role).code,
+      }));
+    }
+
+    throw errorResponse('Could not generate a reward code', 503, 'REFERRAL_REWARD_FAILED');
+  }
+
+  /**
+   * Reward pending referrals whose referee already has a delivered order,
+   * i.e. whose reward failed when the order was delivered.
+   * Returns { referralId, status } per referral.
+   */
+  async retryPendingRewards() {
+    const pending = [];
+    for (let offset = 0; ; offset += PAGE_SIZE) {
+      const { data, error } = await supabase
+        .from('referrals')
+        .select('id, referee_id')
+        .eq('status', REFERRAL_STATUS.PENDING)
+        .order('created_at', { ascending: true })
+        .range(offset, offset + PAGE_SIZE - 1);
+
+      if (error) throw error;
+      pending.push(...data);
+      if (data.length < PAGE_SIZE) break;
+    }
+
+    const delivered = new Set();
+    for (let i = 0; i < pending.length; i += ID_CHUNK) {
+      const { data, error } = await supabase
+        .from('orders')
+        .select('user_id')
+        .in('user_id', pending.slice(i, i + ID_CHUNK).map(referral => referral.referee_id))
+        .eq('status', ORDER_STATUS.DELIVERED);
+
+      if (error) throw error;
+      for (const order of data) delivered.add(order.user_id);
+    }
+
+    const results = [];
+
+    for (const referral of pending.filter(referral => delivered.has(referral.referee_id))) {
+      try {
+        const rewards = await this.rewardReferral(referral.referee_id);
+        results.push({ referralId: referral.id, status: rewards ? 'rewarded' : 'closed' });
+      } catch (rewardError) {
+        console.error(`❌ Rewarding referral ${referral.id} failed:`, rewardError);
+        results.push({ referralId: referral.id, status: 'error' });
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Retry failed rewards periodically. Only for long-running processes;
+   * serverless deployments call POST /api/referrals/rewards/retry from a
+   * scheduled job instead.
+   */
+  start(intervalMs = config.referrals.retryIntervalMs) {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => {
+      this.retryPendingRewards().catch(error => console.error('❌ Referral reward retry failed:', error));
+    }, intervalMs);
+    this.timer.unref?.();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Referral code, referral counts and rewards of a user (GET /api/referrals/me).
+   */
+  async getMyReferrals(userId) {
+    const code = await this.getOrCreateCode(userId);
+
+    const [referralsResult, referredByResult, rewardsResult] = await Promise.all([
+      supabase
+        .from('referrals')
+        .select('status')
+        .eq('referrer_id', userId),
+      supabase
+        .from('referrals')
+        .select('code, status, created_at, rewarded_at')
+        .eq('referee_id', userId)
+        .maybeSingle(),
+      supabase
+        .from('referral_rewards')
+        .select(`
+          role,
+          amount,
+          created_at,
+          promo_code:promo_codes(id, code, end_date, is_active, redemptions:promo_code_redemptions(order_id, released_at))
+        `)
+        .eq('user_id', userId)
+        .order('created_at', { ascending: false }),
+    ]);
+
+    for (const result of [referralsResult, referredByResult, rewardsResult]) {
+      if (result.error) throw result.error;
+    }
+
+    const counts = { invited: referralsResult.data.length, pending: 0, rewarded: 0, rejected: 0 };
+    for (const referral of referralsResult.data) {
+      counts[referral.status] = (counts[referral.status] || 0) + 1;
+    }
+
+    const now = new Date();
+    const rewards = rewardsResult.data.map(reward => {
+      const promo = reward.promo_code;
+      const used = (promo?.redemptions || []).some(redemption => !redemption.released_at);
+      const expired = Boolean(promo?.end_date && new Date(promo.end_date) < now);
+
+      return {
+        role: reward.role,
+        amount: reward.amount,
+        code: promo?.code || null,
+        expires_at: promo?.end_date || null,
+        status: used ? 'used' : expired || !promo?.is_active ? 'expired' : 'available',
+        created_at: reward.created_at,
+      };
+    });
+
+    return {
+      code,
+      stats: {
+        ...counts,
+        total_earned: roundMoney(rewards
+          .filter(reward => reward.role === 'referrer')
+          .reduce((sum, reward) => sum + Number(reward.amount), 0)),
+      },
+      referred_by: referredByResult.data,
+      rewards,
+    };
+  }
+
+  async _findCodeByUser(userId) {
+    const { data, error } = await supabase
+      .from('referral_codes')
+      .select('code')
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    if (error) throw error;
+
+    return data?.code || null;
+  }
+
+  /**
+   * Referral codes are for accounts that just signed up and never ordered.
+   */
+  async _assertNewCustomer(userId) {
+    const { data, error } = await supabaseAdmin.auth.admin.getUserById(userId);
+    if (error) throw error;
+
+    const createdAt = new Date(data.user.created_at);
+    if (Date.now() - createdAt.getTime() > config.referrals.claimWindowHours * HOUR_MS) {
+      throw errorResponse('Referral codes can only be used right after signing up', 409, 'REFERRAL_NOT_ELIGIBLE');
+    }
+
+    const { count, error: ordersError } = await supabase
+      .from('orders')
+      .select('id', { count: 'exact', head: true })
+      .eq('user_id', userId);
+
+    if (ordersError) throw ordersError;
+    if (count > 0) {
+      throw errorResponse('Referral codes are for new customers only', 409, 'REFERRAL_NOT_ELIGIBLE');
+    }
+  }
+
+  /**
+   * A device seen with another account cannot be used to claim a referral.
+   */
+  async _assertDeviceUnused(userId, deviceId) {
+    const { count, error } = await supabase
+      .from('user_devices')
+      .select('user_id', { count: 'exact', head: true })
+      .eq('device_id', deviceId)
+      .neq('user_id', userId);
+
+    if (error) throw error;
+    if (count > 0) {
+      throw errorResponse('This device has already been used with another account', 409, 'REFERRAL_DEVICE_USED');
+    }
+  }
+
+  async _getFirstDeliveredOrder(userId) {
+    const { data, error } = await supabase
+      .from('orders')
+      .select('id, user_id, subtotal')
+      .eq('user_id', userId)
+      .eq('status', ORDER_STATUS.DELIVERED)
+      .order('created_at', { ascending: true })
+      .limit(1)
+      .maybeSingle();
+
+    if (error) throw error;
+
+    return data;
+  }
+
+  /**
+   * The referrer cap is checked under lock by reward_referral.
+   */
+  _getRejectionReason(order) {
+    if (Number(order.subtotal) < config.referrals.minOrderAmount) {
+      return 'MIN_ORDER_NOT_MET';
+    }
+
+    return null;
+  }
+
+  /**
+   * Move a pending referral to a final status. Returns null when another
+   * call got there first.
+   */
+  async _closeReferral(referral, status, changes) {
+    const { data, error } = await supabase
+      .from('referrals')
+      .update({ ...changes, status })
+      .eq('id', referral.id)
+      .eq('status', REFERRAL_STATUS.PENDING)
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+
+    return data;
+  }
+}
+
+// Export singleton instance
+export default new ReferralService();
@@ -0,0 +1,24 @@
+/**
+ * Refund requests for non-cash payments. Rows in `refunds` are picked up
+ * by the payment provider integration / back office for processing.
+ */
+export class RefundService {
+  isRefundable(order) {
+    return Boolean(order.payment_method) && order.payment_method !== 'cash' && Number(order.total) > 0;
+  }
+
+  /**
+   * Refund request for a cancelled/rejected order, written by
+   * OrderService.transitionOrder in the same transaction as the status.
+   */
+  buildRefund(order, { reason, requestedBy } = {}) {
+    return {
+      amount: order.total,
+      payment_method: order.payment_method,
+      reason: reason || null,
+      requested_by: requestedBy || null,
+    };
+  }
+}
+
+export default new RefundService();
@@ -0,0 +1,112 @@
+import { config } from '../config/app.js';
+import { ORDER_QUEUE_VIEWS, ORDER_STATUS, isValidStatus } from '../config/orderStatus.js';
+import { supabase } from '../config/supabase.js';
+import { errorResponse } from '../utils/response.js';
+import { parseDateRange } from '../utils/time.js';
+import cancellationService from './cancellationService.js';
+import orderService, { hideDeliveryPin } from './orderService.js';
+
+const MAX_PREP_MINUTES = 180;
+
+/**
+ * Restaurant-side order queue: listing and the accept / reject /
+ * preparing / ready actions. Access to the restaurant is checked by the
+ * requireRestaurantMember middleware; transitions by OrderService.
+ */
+export class RestaurantOrderService {
+  async getOrders(restaurantId, { view, status, from, to, limit = 50, offset = 0 }) {
+    let query = supabase
+      .from('orders')
+      .select(`
+        *,
+        order_items(*)
+      `, { count: 'exact' })
+      .eq('restaurant_id', restaurantId)
+      // Oldest first for work queues, newest first for history
+      .order('created_at', { ascending: view !== 'completed' })
+      .range(offset, offset + limit - 1);
+
+    if (status) {
+      if (!isValidStatus(status)) {
+        throw errorResponse(`Unknown order status '${status}'`, 400, 'INVALID_STATUS');
+      }
+      query = query.eq('status', status);
+    } else if (view) {
+      if (!ORDER_QUEUE_VIEWS[view]) {
+        throw errorResponse(
+          `view must be one of: ${Object.keys(ORDER_QUEUE_VIEWS).join(', ')}`,
+          400,
+          'VALIDATION_ERROR'
+        );
+      }
+      query = query.in('status', ORDER_QUEUE_VIEWS[view]);
+    }
+
+    // Date-only bounds are whole days in the restaurants' timezone
+    const range = parseDateRange(from, to, config.openingHours.timezone);
+    if (range.from) {
+      query = query.gte('created_at', range.from);
+    }
+    if (range.to) {
+      query = range.toExclusive ? query.lt('created_at', range.to) : query.lte('created_at', range.to);
+    }
+
+    const { data, error, count } = await query;
+
+    if (error) throw error;
+
+    return { data: data.map(hideDeliveryPin), count };
+  }
+
+  /**
+   * Accept a pending order with the restaurant's preparation estimate.
+   */
+  async acceptOrder(restaurantId, orderId, { actor, estimatedPrepMinutes }) {
+    const minutes = Number(estimatedPrepMinutes);
+    if (!Number.isInteger(minutes) || minutes < 1 || minutes > MAX_PREP_MINUTES) {
+      throw errorResponse(
+        `estimated_prep_minutes must be an integer between 1 and ${MAX_PREP_MINUTES}`,
+        400,
+        'VALIDATION_ERROR'
+      );
+    }
+
+    const order = await this._loadOrder(restaurantId, orderId);
+
+    return orderService.transitionOrder(order, ORDER_STATUS.ACCEPTED, {
+      actor,
+      changes: {
+        estimated_prep_minutes: minutes,
+        estimated_ready_at: new Date(Date.now() + minutes * 60 * 1000).toISOString(),
+      },
+    });
+  }
+
+  async rejectOrder(restaurantId, orderId, { actor, reasonCode, reason }) {
+    await this._loadOrder(restaurantId, orderId);
+
+    return cancellationService.rejectOrder(orderId, { actor, reasonCode, reason });
+  }
+
+  async markPreparing(restaurantId, orderId, { actor }) {
+    const order = await this._loadOrder(restaurantId, orderId);
+
+    return orderService.transitionOrder(order, ORDER_STATUS.PREPARING, { actor });
+  }
+
+  async markReady(restaurantId, orderId, { actor }) {
+    const order = await this._loadOrder(restaurantId, orderId);
+
+    return orderService.transitionOrder(order, ORDER_STATUS.READY, { actor });
+  }
+
+  async _loadOrder(restaurantId, orderId) {
+    const order = await orderService.getOrderForAccessCheck(orderId);
+    if (!order || String(order.restaurant_id) !== String(restaurantId)) {
+      throw errorResponse('Order not found', 404, 'ORDER_NOT_FOUND');
+    }
+    return order;
+  }
+}
+
+export default new RestaurantOrderService();
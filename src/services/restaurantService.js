@@ -1,46 +1,183 @@
+import { config } from '../config/app.js';
 import { supabase } from '../config/supabase.js';
+import { haversineKm, toPoint } from '../utils/geo.js';
+import { roundMoney } from '../utils/money.js';
+import deliveryZoneService from './deliveryZoneService.js';
+import openingHoursService from './openingHoursService.js';
+import searchService from './searchService.js';
+import trackingService from './trackingService.js';
+
+const KM_PER_DEGREE = 111.32;
 
 export class RestaurantService {
-  async getRestaurants({ category, cuisine, minRating, isFeatured, limit = 20, offset = 0 }) {
-    let query = supabase
-      .from('restaurants')
-      .select('*', { count: 'exact' })
+  async getRestaurants({ category, cuisine, minRating, isFeatured, openNow = false, limit = 20, offset = 0 }) {
+    let query = this._restaurants({ openNow, count: 'exact' })
       .order('rating', { ascending: false })
       .range(offset, offset + limit - 1);
 
-    if (category) {
-      query = query.eq('category', category);
-    }
-    if (cuisine) {
-      query = query.eq('cuisine_type', cuisine);
-    }
-    if (minRating) {
-      query = query.gte('rating', parseFloat(minRating));
-    }
-    if (isFeatured !== undefined) {
-      query = query.eq('is_featured', isFeatured === 'true');
-    }
+    query = this._applyFilters(query, { category, cuisine, minRating, isFeatured });
 
     const { data, error, count } = await query;
 
     if (error) throw error;
 
-    return { data, count };
+    return { data: await openingHoursService.withOpenStatus(data), count };
+  }
+
+  /**
+   * Restaurants within radiusKm of a point that can deliver to it, each with
+   * distance_km, delivery_fee and eta_minutes. Sorted by distance (default)
+   * or rating.
+   */
+  async getNearbyRestaurants({
+    location,
+    radiusKm,
+    sort = 'distance',
+    openNow = false,
+    category,
+    cuisine,
+    minRating,
+    isFeatured,
+    limit = 20,
+    offset = 0,
+  }) {
+    // Bounding box prefilter in SQL, exact distance below
+    const latDelta = radiusKm / KM_PER_DEGREE;
+    const lngDelta = radiusKm / (KM_PER_DEGREE * Math.cos((location.lat * Math.PI) / 180));
+
+    let query = this._restaurants({ openNow })
+      .gte('latitude', location.lat - latDelta)
+      .lte('latitude', location.lat + latDelta)
+      .gte('longitude', location.lng - lngDelta)
+      .lte('longitude', location.lng + lngDelta);
+
+    query = this._applyFilters(query, { category, cuisine, minRating, isFeatured });
+
+    const { data, error } = await query;
+
+    if (error) throw error;
+
+    const zonesByRestaurant = await deliveryZoneService.getZonesForRestaurants(data);
+    const results = [];
+
+    for (const restaurant of data) {
+      const restaurantLocation = toPoint(restaurant.latitude, restaurant.longitude);
+      const distanceKm = haversineKm(restaurantLocation, location);
+      if (distanceKm > radiusKm) continue;
+
+      let deliveryFee = roundMoney(restaurant.delivery_fee ?? config.pricing.defaultDeliveryFee);
+      const zones = zonesByRestaurant.get(restaurant.id) || [];
+
+      if (zones.length > 0) {
+        try {
+          // Subtotal unknown here: fee before any free-delivery threshold
+          deliveryFee = deliveryZoneService.computeFee({
+            zones,
+            restaurantLocation,
+            customerLocation: location,
+            subtotal: 0,
+          }).fee;
+        } catch (zoneError) {
+          if (zoneError.code === 'OUTSIDE_DELIVERY_AREA') continue;
+          throw zoneError;
+        }
+      }
+
+      const prepMinutes = restaurant.average_prep_minutes ?? config.tracking.defaultPrepMinutes;
+      const travelMinutes = trackingService.travelTimeMs(restaurantLocation, location) / 60000;
+
+      results.push({
+        ...restaurant,
+        distance_km: Math.round(distanceKm * 100) / 100,
+        delivery_fee: deliveryFee,
+        eta_minutes: Math.round(prepMinutes + travelMinutes),
+      });
+    }
+
+    results.sort(sort === 'rating'
+      ? (a, b) => (b.rating || 0) - (a.rating || 0) || a.distance_km - b.distance_km
+      : (a, b) => a.distance_km - b.distance_km || (b.rating || 0) - (a.rating || 0));
+
+    const page = await openingHoursService.withOpenStatus(results.slice(offset, offset + limit));
+
+    return {
+      data: page,
+      count: results.length,
+    };
   }
 
+  /**
+   * Restaurants only view of SearchService (multilingual, ranked).
+   */
   async searchRestaurants({ query, limit = 20 }) {
+    const { restaurants } = await searchService.search({ query, types: ['restaurants'], limit });
+
+    return restaurants;
+  }
+
+  /**
+   * Restaurant with the fields needed for membership checks
+   * (owner_id and staff user ids).
+   */
+  async getRestaurantForAccessCheck(id) {
     const { data, error } = await supabase
       .from('restaurants')
-      .select('*')
-      .or(`name.ilike.%${query}%,description.ilike.%${query}%`)
-      .order('rating', { ascending: false })
-      .limit(limit);
+      .select('id, owner_id, staff:restaurant_staff(user_id)')
+      .eq('id', id)
+      .maybeSingle();
 
     if (error) throw error;
 
     return data;
   }
 
+  /**
+   * Ids of the restaurants owned by a user.
+   */
+  async getOwnedRestaurantIds(userId) {
+    const { data, error } = await supabase
+      .from('restaurants')
+      .select('id')
+      .eq('owner_id', userId);
+
+    if (error) throw error;
+
+    return data.map(restaurant => restaurant.id);
+  }
+
+  /**
+   * Restaurants to filter on. With openNow, the open_restaurants database
+   * function (SQL mirror of OpeningHoursService.computeOpenStatus) in
+   * config.openingHours.timezone.
+   */
+  _restaurants({ openNow = false, count } = {}) {
+    const options = count ? { count } : {};
+
+    if (openNow) {
+      return supabase
+        .rpc('open_restaurants', { p_timezone: config.openingHours.timezone }, options)
+        .select('*');
+    }
+
+    return supabase.from('restaurants').select('*', options);
+  }
+
+  _applyFilters(query, { category, cuisine, minRating, isFeatured }) {
+    if (category) {
+      query = query.eq('category', category);
+    }
+    if (cuisine) {
+      query = query.eq('cuisine_type', cuisine);
+    }
+    if (minRating) {
+      query = query.gte('rating', parseFloat(minRating));
+    }
+    if (isFeatured !== undefined) {
+      query = query.eq('is_featured', isFeatured === 'true');
+    }
+    return query;
+  }
+
   async getRestaurantById(id) {
     const { data, error } = await supabase
       .from('restaurants')
@@ -50,7 +187,8 @@ export class RestaurantService {
 
     if (error) throw error;
 
-    return data;
+    const [restaurant] = await openingHoursService.withOpenStatus([data]);
+    return restaurant;
   }
 }
 
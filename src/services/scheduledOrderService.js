@@ -0,0 +1,73 @@
+import { config } from '../config/app.js';
+import { ORDER_STATUS } from '../config/orderStatus.js';
+import { SYSTEM_ACTOR } from '../config/permissions.js';
+import { supabase } from '../config/supabase.js';
+import orderService from './orderService.js';
+
+/**
+ * Releases scheduled orders to the restaurant queue (scheduled -> pending)
+ * once their release_at has passed.
+ */
+export class ScheduledOrderService {
+  constructor() {
+    this.timer = null;
+  }
+
+  /**
+   * Release every due scheduled order. Returns { orderId, status } per order.
+   */
+  async releaseDueOrders(now = new Date()) {
+    const { data, error } = await supabase
+      .from('orders')
+      .select('*, restaurant:restaurants(id, owner_id, staff:restaurant_staff(user_id))')
+      .eq('status', ORDER_STATUS.SCHEDULED)
+      .lte('release_at', now.toISOString())
+      .order('release_at', { ascending: true });
+
+    if (error) throw error;
+
+    const results = [];
+
+    for (const order of data) {
+      try {
+        await orderService.transitionOrder(order, ORDER_STATUS.PENDING, {
+          actor: SYSTEM_ACTOR,
+          reason: 'scheduled order released',
+        });
+        results.push({ orderId: order.id, status: 'released' });
+      } catch (releaseError) {
+        // Cancelled meanwhile: nothing to release
+        if (releaseError.code === 'STATUS_CONFLICT') {
+          results.push({ orderId: order.id, status: 'skipped' });
+          continue;
+        }
+        console.error(`❌ Releasing scheduled order ${order.id} failed:`, releaseError);
+        results.push({ orderId: order.id, status: 'error' });
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Check for due orders periodically. Only for long-running processes;
+   * serverless deployments call POST /api/orders/scheduled/release from a
+   * scheduled job instead.
+   */
+  start(intervalMs = config.scheduling.releaseIntervalMs) {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => {
+      this.releaseDueOrders().catch(error => console.error('❌ Scheduled order release failed:', error));
+    }, intervalMs);
+    this.timer.unref?.();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+// Export singleton instance
+export default new ScheduledOrderService();
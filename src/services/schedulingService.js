@@ -0,0 +1,157 @@
+import { config } from '../config/app.js';
+import { supabase } from '../config/supabase.js';
+import { toPoint } from '../utils/geo.js';
+import { errorResponse } from '../utils/response.js';
+import { getZonedParts } from '../utils/time.js';
+import openingHoursService from './openingHoursService.js';
+import trackingService from './trackingService.js';
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Scheduled (pre-)orders. A scheduled order is placed with status
+ * `scheduled` and released to the restaurant queue (`pending`) at
+ * release_at: the slot time minus preparation, travel and a buffer.
+ *
+ * A slot is available when it is at least the lead time away and the
+ * restaurant is open from release_at for the whole preparation time.
+ */
+export class SchedulingService {
+  /**
+   * Parse a requested slot time. Returns a Date, or null for ASAP orders.
+   * Slot times are whole config.scheduling.slotMinutes steps.
+   */
+  parseScheduledFor(value) {
+    if (value === undefined || value === null || value === '') return null;
+
+    const { slotMinutes, maxDaysAhead } = config.scheduling;
+    const date = new Date(value);
+
+    if (Number.isNaN(date.getTime())) {
+      throw errorResponse('scheduled_for must be an ISO 8601 date', 400, 'INVALID_SCHEDULED_FOR');
+    }
+
+    const parts = getZonedParts(date, config.openingHours.timezone);
+    if (parts.second !== 0 || date.getMilliseconds() !== 0 || parts.minute % slotMinutes !== 0) {
+      throw errorResponse(
+        `scheduled_for must be on a ${slotMinutes} minute slot boundary`,
+        400,
+        'INVALID_SCHEDULED_FOR'
+      );
+    }
+    if (date.getTime() > Date.now() + maxDaysAhead * 24 * 60 * MINUTE_MS) {
+      throw errorResponse(
+        `Orders can be scheduled at most ${maxDaysAhead} days ahead`,
+        400,
+        'INVALID_SCHEDULED_FOR'
+      );
+    }
+
+    return date;
+  }
+
+  /**
+   * Minutes between the release of an order and its slot.
+   */
+  getLeadMinutes(restaurant, customerLocation) {
+    const restaurantLocation = toPoint(restaurant.latitude, restaurant.longitude);
+    const travelMinutes = restaurantLocation && customerLocation
+      ? trackingService.travelTimeMs(restaurantLocation, customerLocation) / MINUTE_MS
+      : config.scheduling.defaultTravelMinutes;
+
+    return Math.ceil(
+      this._getPrepMinutes(restaurant) + travelMinutes + config.scheduling.releaseBufferMinutes
+    );
+  }
+
+  /**
+   * Whether an order for `scheduledFor` can be accepted.
+   * Returns { available, release_at, reason }.
+   */
+  async checkSlot(restaurant, scheduledFor, customerLocation, now = new Date()) {
+    const schedules = await openingHoursService.getSchedules([restaurant.id], now);
+    const schedule = schedules.get(restaurant.id);
+
+    return this._checkSlot(restaurant, schedule, scheduledFor, customerLocation, now);
+  }
+
+  /**
+   * Available slots of a restaurant for the next config.scheduling.maxDaysAhead
+   * days, optionally for a delivery point (more precise travel time).
+   */
+  async getTimeSlots(restaurantId, { customerLocation = null, now = new Date() } = {}) {
+    const { data: restaurant, error } = await supabase
+      .from('restaurants')
+      .select('*')
+      .eq('id', restaurantId)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!restaurant) {
+      throw errorResponse('Restaurant not found', 404, 'RESTAURANT_NOT_FOUND');
+    }
+
+    const { slotMinutes, maxDaysAhead } = config.scheduling;
+    const schedule = (await openingHoursService.getSchedules([restaurant.id], now)).get(restaurant.id);
+    const slotMs = slotMinutes * MINUTE_MS;
+    const end = now.getTime() + maxDaysAhead * 24 * 60 * MINUTE_MS;
+    const slots = [];
+
+    // Slot boundaries are whole minutes in the restaurant's timezone
+    const parts = getZonedParts(now, config.openingHours.timezone);
+    const minuteStart = now.getTime() - parts.second * 1000 - now.getMilliseconds();
+    const toNextSlot = (slotMinutes - (parts.minute % slotMinutes)) % slotMinutes || slotMinutes;
+
+    for (let time = minuteStart + toNextSlot * MINUTE_MS; time <= end; time += slotMs) {
+      const slot = this._checkSlot(restaurant, schedule, new Date(time), customerLocation, now);
+      if (slot.available) {
+        slots.push({
+          starts_at: new Date(time).toISOString(),
+          ends_at: new Date(time + slotMs).toISOString(),
+        });
+      }
+    }
+
+    return {
+      restaurant_id: restaurant.id,
+      timezone: config.openingHours.timezone,
+      slot_minutes: slotMinutes,
+      lead_minutes: Math.max(
+        this.getLeadMinutes(restaurant, customerLocation),
+        config.scheduling.minLeadMinutes
+      ),
+      slots,
+    };
+  }
+
+  _checkSlot(restaurant, schedule, scheduledFor, customerLocation, now) {
+    const leadMinutes = this.getLeadMinutes(restaurant, customerLocation);
+    const releaseAt = new Date(scheduledFor.getTime() - leadMinutes * MINUTE_MS);
+    const result = { available: false, release_at: releaseAt.toISOString(), reason: null };
+
+    const minLeadMinutes = Math.max(leadMinutes, config.scheduling.minLeadMinutes);
+    if (scheduledFor.getTime() < now.getTime() + minLeadMinutes * MINUTE_MS) {
+      result.reason = `Scheduled orders need at least ${minLeadMinutes} minutes notice`;
+      return result;
+    }
+
+    const status = openingHoursService.computeOpenStatus({ restaurant, ...schedule }, releaseAt);
+    const kitchenClosesAt = status.closes_at ? new Date(status.closes_at).getTime() : Infinity;
+    const readyAt = releaseAt.getTime() + this._getPrepMinutes(restaurant) * MINUTE_MS;
+
+    if (!status.is_open || kitchenClosesAt < readyAt) {
+      result.reason = 'Restaurant is closed at this time';
+      return result;
+    }
+
+    result.available = true;
+    return result;
+  }
+
+  _getPrepMinutes(restaurant) {
+    return restaurant.average_prep_minutes ?? config.tracking.defaultPrepMinutes;
+  }
+}
+
+// Export singleton instance
+export default new SchedulingService();
@@ -0,0 +1,189 @@
+import { supabase } from '../config/supabase.js';
+import { escapeLikePattern, quoteFilterValue } from '../utils/postgrest.js';
+import { errorResponse } from '../utils/response.js';
+import { normalizeSearchText, skeletonKey } from '../utils/searchText.js';
+import openingHoursService from './openingHoursService.js';
+
+export const SEARCH_TYPES = ['restaurants', 'dishes', 'cuisines'];
+
+const MIN_QUERY_LENGTH = 2;
+const MAX_QUERY_LENGTH = 100;
+// Skeletons this short match too much to be useful
+const MIN_SKELETON_LENGTH = 2;
+// Rows fetched per type before ranking, relative to the requested limit
+const CANDIDATE_FACTOR = 5;
+const MAX_CANDIDATES = 100;
+
+// Fields scored per type, with their weight
+const FIELDS = {
+  restaurants: [['name', 1], ['name_ar', 1], ['name_fr', 1], ['cuisine_type', 0.6], ['description', 0.4]],
+  dishes: [['name', 1], ['name_ar', 1], ['name_fr', 1], ['description', 0.4]],
+  cuisines: [['name', 1], ['name_ar', 1], ['name_fr', 1]],
+};
+
+/**
+ * Unified search over restaurants, dishes (menu items) and cuisines.
+ *
+ * Rows carry search_text / search_skeleton columns maintained by database
+ * triggers (see src/utils/searchText.js). The database narrows candidates
+ * by normalised text or consonant skeleton; ranking happens here.
+ */
+export class SearchService {
+  /**
+   * Normalised forms of a raw query, or a 400 for unusable input.
+   */
+  parseQuery(query) {
+    const raw = String(query ?? '').trim();
+    if (raw.length > MAX_QUERY_LENGTH) {
+      throw errorResponse(`Search query must be at most ${MAX_QUERY_LENGTH} characters`, 400, 'VALIDATION_ERROR');
+    }
+
+    const text = normalizeSearchText(raw);
+    if (text.length < MIN_QUERY_LENGTH) {
+      throw errorResponse(
+        `Search query must be at least ${MIN_QUERY_LENGTH} letters or digits`,
+        400,
+        'VALIDATION_ERROR'
+      );
+    }
+
+    const skeleton = skeletonKey(raw);
+    return {
+      raw,
+      text,
+      tokens: text.split(' '),
+      skeleton: skeleton.replace(/ /g, '').length >= MIN_SKELETON_LENGTH ? skeleton : null,
+    };
+  }
+
+  /**
+   * Search the given types. Returns { query, restaurants, dishes, cuisines }
+   * with results sorted by score (best first).
+   */
+  async search({ query, types = SEARCH_TYPES, limit = 10 }) {
+    const parsed = this.parseQuery(query);
+
+    const unknown = types.filter(type => !SEARCH_TYPES.includes(type));
+    if (unknown.length > 0) {
+      throw errorResponse(`type must be one of: ${SEARCH_TYPES.join(', ')}`, 400, 'VALIDATION_ERROR');
+    }
+
+    const [restaurants, dishes, cuisines] = await Promise.all([
+      types.includes('restaurants') ? this._searchRestaurants(parsed, limit) : [],
+      types.includes('dishes') ? this._searchDishes(parsed, limit) : [],
+      types.includes('cuisines') ? this._searchCuisines(parsed, limit) : [],
+    ]);
+
+    return { query: parsed.raw, restaurants, dishes, cuisines };
+  }
+
+  /**
+   * Score a row against a parsed query, 0 when it does not match.
+   * Exact and prefix matches beat substring matches; matches through the
+   * transliteration skeleton rank below literal ones.
+   */
+  scoreRow(row, fields, parsed) {
+    let best = 0;
+
+    for (const [field, weight] of fields) {
+      if (!row[field]) continue;
+      best = Math.max(best, this._scoreText(String(row[field]), parsed) * weight);
+    }
+
+    return best;
+  }
+
+  _scoreText(value, { text, tokens, skeleton }) {
+    const normalized = normalizeSearchText(value);
+    if (!normalized) return 0;
+
+    if (normalized === text) return 100;
+    if (normalized.startsWith(text)) return 80;
+
+    const words = normalized.split(' ');
+    if (tokens.every(token => words.some(word => word.startsWith(token)))) return 70;
+    if (normalized.includes(text)) return 50;
+
+    if (!skeleton) return 0;
+
+    const valueSkeleton = skeletonKey(value);
+    if (valueSkeleton === skeleton) return 60;
+
+    const skeletonWords = valueSkeleton.split(' ');
+    const skeletonTokens = skeleton.split(' ');
+    if (skeletonTokens.every(token => skeletonWords.some(word => word.startsWith(token)))) return 45;
+    if (valueSkeleton.includes(skeleton)) return 30;
+
+    return 0;
+  }
+
+  /**
+   * .or() filter matching either the normalised text or the skeleton.
+   * Tokens must appear in order; input is escaped and quoted.
+   */
+  _candidateFilter({ tokens, skeleton }) {
+    const textPattern = `%${tokens.map(escapeLikePattern).join('%')}%`;
+    const filters = [`search_text.ilike.${quoteFilterValue(textPattern)}`];
+
+    if (skeleton) {
+      const skeletonPattern = `%${skeleton.split(' ').map(escapeLikePattern).join('%')}%`;
+      filters.push(`search_skeleton.ilike.${quoteFilterValue(skeletonPattern)}`);
+    }
+
+    return filters.join(',');
+  }
+
+  _rank(rows, fields, parsed, limit, popularity = () => 0) {
+    return rows
+      .map(row => ({ ...row, score: this.scoreRow(row, fields, parsed) }))
+      .filter(row => row.score > 0)
+      .map(row => ({ ...row, score: Math.round((row.score + popularity(row)) * 100) / 100 }))
+      .sort((a, b) => b.score - a.score || String(a.name).localeCompare(String(b.name)))
+      .slice(0, limit)
+      .map(({ search_text, search_skeleton, ...row }) => row);
+  }
+
+  async _searchRestaurants(parsed, limit) {
+    const { data, error } = await supabase
+      .from('restaurants')
+      .select('*')
+      .or(this._candidateFilter(parsed))
+      .order('rating', { ascending: false })
+      .limit(Math.min(limit * CANDIDATE_FACTOR, MAX_CANDIDATES));
+
+    if (error) throw error;
+
+    // Up to 10 points for a 5-star rating
+    const ranked = this._rank(data, FIELDS.restaurants, parsed, limit, row => (row.rating || 0) * 2);
+    return openingHoursService.withOpenStatus(ranked);
+  }
+
+  async _searchDishes(parsed, limit) {
+    const { data, error } = await supabase
+      .from('menu_items')
+      .select('*, restaurant:restaurants(id, name, image_url, rating)')
+      .or(this._candidateFilter(parsed))
+      .eq('is_available', true)
+      .limit(Math.min(limit * CANDIDATE_FACTOR, MAX_CANDIDATES));
+
+    if (error) throw error;
+
+    return this._rank(data, FIELDS.dishes, parsed, limit, row => (row.restaurant?.rating || 0));
+  }
+
+  async _searchCuisines(parsed, limit) {
+    const { data, error } = await supabase
+      .from('cuisine_types')
+      .select('*')
+      .or(this._candidateFilter(parsed))
+      .eq('is_active', true)
+      .limit(Math.min(limit * CANDIDATE_FACTOR, MAX_CANDIDATES));
+
+    if (error) throw error;
+
+    return this._rank(data, FIELDS.cuisines, parsed, limit);
+  }
+}
+
+// Export singleton instance
+export default new SearchService();
@@ -0,0 +1,170 @@
+import { config } from '../config/app.js';
+import { supabase } from '../config/supabase.js';
+import { normalizeSearchText } from '../utils/searchText.js';
+import { SUGGESTION_TYPES, SuggestionIndex } from './suggestionIndex.js';
+
+// Supabase returns at most this many rows per request
+const PAGE_SIZE = 1000;
+
+/**
+ * Loads suggestion entries (see SuggestionIndex) from Supabase.
+ * Restaurants are boosted by rating and featured flag, dish names by how
+ * many restaurants serve them, cuisines by how many restaurants offer them.
+ */
+export class SupabaseSuggestionSource {
+  async load() {
+    const [restaurants, menuItems, cuisines] = await Promise.all([
+      this._fetchAll(() => supabase.from('restaurants').select('*').order('id')),
+      this._fetchAll(() => supabase
+        .from('menu_items')
+        .select('id, name, restaurant_id')
+        .eq('is_available', true)
+        .order('id')),
+      this._fetchAll(() => supabase.from('cuisine_types').select('*').eq('is_active', true).order('id')),
+    ]);
+
+    return [
+      ...this._restaurantEntries(restaurants),
+      ...this._dishEntries(menuItems),
+      ...this._cuisineEntries(cuisines, restaurants),
+    ];
+  }
+
+  _restaurantEntries(restaurants) {
+    return restaurants.map(restaurant => ({
+      type: 'restaurant',
+      id: restaurant.id,
+      label: restaurant.name,
+      alternates: [restaurant.name_ar, restaurant.name_fr],
+      popularity: 0.8 * ((restaurant.rating || 0) / 5) + (restaurant.is_featured ? 0.2 : 0),
+      data: { image_url: restaurant.image_url || null },
+    }));
+  }
+
+  /**
+   * One entry per distinct dish name; picking it searches that dish.
+   */
+  _dishEntries(menuItems) {
+    const byName = new Map();
+
+    for (const item of menuItems) {
+      const key = normalizeSearchText(item.name);
+      if (!key) continue;
+      const dish = byName.get(key) || { id: item.id, label: item.name, restaurants: new Set() };
+      dish.restaurants.add(item.restaurant_id);
+      byName.set(key, dish);
+    }
+
+    const maxCount = Math.max(1, ...[...byName.values()].map(dish => dish.restaurants.size));
+
+    return [...byName.values()].map(dish => ({
+      type: 'dish',
+      id: dish.id,
+      label: dish.label,
+      popularity: Math.log1p(dish.restaurants.size) / Math.log1p(maxCount),
+      data: { restaurant_count: dish.restaurants.size },
+    }));
+  }
+
+  _cuisineEntries(cuisines, restaurants) {
+    const counts = new Map();
+    for (const restaurant of restaurants) {
+      const key = normalizeSearchText(restaurant.cuisine_type);
+      if (key) counts.set(key, (counts.get(key) || 0) + 1);
+    }
+
+    const maxCount = Math.max(1, ...counts.values());
+
+    return cuisines.map(cuisine => {
+      const count = counts.get(normalizeSearchText(cuisine.name)) || 0;
+      return {
+        type: 'cuisine',
+        id: cuisine.id,
+        label: cuisine.name,
+        alternates: [cuisine.name_ar, cuisine.name_fr],
+        popularity: Math.log1p(count) / Math.log1p(maxCount),
+        data: { restaurant_count: count },
+      };
+    });
+  }
+
+  async _fetchAll(buildQuery) {
+    const rows = [];
+
+    for (let from = 0; ; from += PAGE_SIZE) {
+      const { data, error } = await buildQuery().range(from, from + PAGE_SIZE - 1);
+      if (error) throw error;
+      rows.push(...data);
+      if (data.length < PAGE_SIZE) return rows;
+    }
+  }
+}
+
+/**
+ * Static entries, for local runs and tests.
+ */
+export class StaticSuggestionSource {
+  constructor(entries = []) {
+    this.entries = entries;
+  }
+
+  async load() {
+    return this.entries;
+  }
+}
+
+/**
+ * Autocomplete over an in-memory SuggestionIndex, rebuilt from its source
+ * when older than config.search.suggestRefreshMs.
+ */
+export class SuggestService {
+  constructor({ source = new SupabaseSuggestionSource(), refreshMs = config.search.suggestRefreshMs, now = () => Date.now() } = {}) {
+    this.source = source;
+    this.refreshMs = refreshMs;
+    this.now = now;
+    this.index = null;
+    this.builtAt = 0;
+    this.building = null;
+  }
+
+  async suggest(query, { limit = config.search.suggestLimit, types = SUGGESTION_TYPES } = {}) {
+    const index = await this.getIndex();
+    return index.search(query, { limit, types });
+  }
+
+  /**
+   * The current index. A stale index is still served while the rebuild
+   * runs; only the very first build is waited for.
+   */
+  async getIndex() {
+    if (!this.index) return this.rebuild();
+
+    if (this.now() - this.builtAt > this.refreshMs) {
+      this.rebuild().catch(error => console.error('❌ Suggestion index rebuild failed:', error));
+    }
+
+    return this.index;
+  }
+
+  /**
+   * Reload entries from the source. Concurrent calls share one build.
+   */
+  async rebuild() {
+    if (!this.building) {
+      this.building = this.source.load()
+        .then(entries => {
+          this.index = new SuggestionIndex(entries);
+          this.builtAt = this.now();
+          return this.index;
+        })
+        .finally(() => {
+          this.building = null;
+        });
+    }
+
+    return this.building;
+  }
+}
+
+// Export singleton instance
+export default new SuggestService();
@@ -0,0 +1,189 @@
+import {
+  editDistance,
+  normalizeSearchText,
+  skeletonKey,
+  trigrams,
+} from '../utils/searchText.js';
+
+export const SUGGESTION_TYPES = ['restaurant', 'dish', 'cuisine'];
+
+// Added to the match score for an entry with popularity 1
+const POPULARITY_WEIGHT = 15;
+const MIN_TRIGRAM_SIMILARITY = 0.3;
+
+// Typos tolerated in a query word of a given length
+const maxTypos = length => (length <= 3 ? 0 : length <= 6 ? 1 : 2);
+
+function similarity(a, b) {
+  let shared = 0;
+  for (const gram of a) {
+    if (b.has(gram)) shared++;
+  }
+  return shared / (a.size + b.size - shared);
+}
+
+/**
+ * In-memory autocomplete index. Pure: built from plain entries, so it can
+ * be filled from Supabase (SuggestService) or from fixtures offline.
+ *
+ * entry: { type, id, label, alternates?: string[], popularity: 0..1, data?: {} }
+ *
+ * Matching, best first: label prefix, word prefixes, word prefixes with
+ * typos (edit distance), transliteration skeleton, trigram similarity.
+ */
+export class SuggestionIndex {
+  constructor(entries = []) {
+    this.entries = [];
+    this.byTrigram = new Map();
+
+    for (const entry of entries) {
+      this._add(entry);
+    }
+  }
+
+  get size() {
+    return this.entries.length;
+  }
+
+  /**
+   * Suggestions for a partial query: [{ type, id, text, score, ...data }].
+   */
+  search(query, { limit = 8, types = SUGGESTION_TYPES } = {}) {
+    const text = normalizeSearchText(query);
+    if (!text) return [];
+
+    const parsed = {
+      text,
+      tokens: text.split(' '),
+      skeletonTokens: skeletonKey(query).split(' ').filter(token => token.length >= 2),
+      trigrams: trigrams(text),
+    };
+
+    const results = [];
+
+    for (const index of this._candidates(parsed)) {
+      const entry = this.entries[index];
+      if (!types.includes(entry.type)) continue;
+
+      const score = Math.max(...entry.labels.map(label => this._scoreLabel(label, parsed)));
+      if (score <= 0) continue;
+
+      results.push({
+        entry,
+        score: Math.round((score + POPULARITY_WEIGHT * entry.popularity) * 100) / 100,
+      });
+    }
+
+    return results
+      .sort((a, b) => b.score - a.score
+        || a.entry.label.length - b.entry.label.length
+        || a.entry.label.localeCompare(b.entry.label))
+      .slice(0, limit)
+      .map(({ entry, score }) => ({
+        type: entry.type,
+        id: entry.id,
+        text: entry.label,
+        score,
+        ...entry.data,
+      }));
+  }
+
+  _add(entry) {
+    const labels = [entry.label, ...(entry.alternates || [])]
+      .filter(Boolean)
+      .map(label => {
+        const text = normalizeSearchText(label);
+        const skeleton = skeletonKey(label);
+        return {
+          text,
+          words: text.split(' '),
+          skeletonWords: skeleton ? skeleton.split(' ') : [],
+          trigrams: trigrams(text),
+        };
+      })
+      .filter(label => label.text);
+
+    if (labels.length === 0) return;
+
+    const index = this.entries.length;
+    this.entries.push({
+      type: entry.type,
+      id: entry.id,
+      label: entry.label,
+      popularity: Math.min(Math.max(Number(entry.popularity) || 0, 0), 1),
+      data: entry.data || {},
+      labels,
+    });
+
+    for (const label of labels) {
+      for (const word of [...label.words, ...label.skeletonWords]) {
+        for (const gram of trigrams(word)) {
+          if (!this.byTrigram.has(gram)) this.byTrigram.set(gram, new Set());
+          this.byTrigram.get(gram).add(index);
+        }
+      }
+    }
+  }
+
+  /**
+   * Entries sharing at least one trigram with a query word or skeleton word.
+   */
+  _candidates({ tokens, skeletonTokens }) {
+    const candidates = new Set();
+
+    for (const word of [...tokens, ...skeletonTokens]) {
+      for (const gram of trigrams(word)) {
+        for (const index of this.byTrigram.get(gram) || []) {
+          candidates.add(index);
+        }
+      }
+    }
+
+    return candidates;
+  }
+
+  _scoreLabel(label, { text, tokens, skeletonTokens, trigrams: queryTrigrams }) {
+    if (label.text.startsWith(text)) return 100;
+    if (tokens.every(token => label.words.some(word => word.startsWith(token)))) return 90;
+
+    const typos = this._countTypos(tokens, label.words);
+    if (typos !== null) return 80 - 10 * typos;
+
+    if (skeletonTokens.length > 0
+      && skeletonTokens.every(token => label.skeletonWords.some(word => word.startsWith(token)))) {
+      return 60;
+    }
+
+    const trigramSimilarity = similarity(queryTrigrams, label.trigrams);
+    if (trigramSimilarity >= MIN_TRIGRAM_SIMILARITY) return 50 * trigramSimilarity;
+
+    return 0;
+  }
+
+  /**
+   * Total typos when every query word matches a label word (or the start of
+   * one, as the user is still typing) within maxTypos; null otherwise.
+   */
+  _countTypos(tokens, words) {
+    let total = 0;
+
+    for (const token of tokens) {
+      const allowed = maxTypos(token.length);
+      if (allowed === 0) return null;
+
+      let best = Infinity;
+      for (const word of words) {
+        best = Math.min(
+          best,
+          editDistance(token, word),
+          editDistance(token, word.slice(0, token.length))
+        );
+      }
+
+      if (best > allowed) return null;
+      total += best;
+    }
+
+    return total;
+  }
+}
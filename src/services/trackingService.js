@@ -0,0 +1,246 @@
+import { config } from '../config/app.js';
+import { ORDER_STATUS } from '../config/orderStatus.js';
+import { supabase } from '../config/supabase.js';
+import { haversineKm, toPoint } from '../utils/geo.js';
+import { errorResponse } from '../utils/response.js';
+import orderEventBus from './orderEventBus.js';
+
+const MAX_POINTS_PER_BATCH = 100;
+
+// Accepted ranges of the optional GPS fields: metres, metres/second, degrees
+const POINT_FIELD_RANGES = {
+  accuracy: [0, 10000],
+  speed: [0, 100],
+  heading: [0, 360],
+};
+
+// Orders whose ETA follows the driver's position
+const TRACKED_STATUSES = [
+  ORDER_STATUS.ACCEPTED,
+  ORDER_STATUS.PREPARING,
+  ORDER_STATUS.READY,
+  ORDER_STATUS.PICKED_UP,
+];
+
+/**
+ * Driver GPS ingestion and per-order ETA.
+ *
+ * The latest position per driver lives in driver_locations (used by
+ * dispatch), the recent trail in driver_location_history. Each batch
+ * recomputes the ETA of the driver's active orders and publishes
+ * driver_location / eta events for the order tracking stream.
+ */
+export class TrackingService {
+  async ingestLocations(driverId, points) {
+    const trail = this._normalizePoints(points);
+    const latest = trail[trail.length - 1];
+
+    const { error: historyError } = await supabase
+      .from('driver_location_history')
+      .insert(trail.map(point => ({
+        driver_id: driverId,
+        lat: point.lat,
+        lng: point.lng,
+        accuracy: point.accuracy,
+        speed: point.speed,
+        heading: point.heading,
+        recorded_at: point.recordedAt,
+      })));
+
+    if (historyError) throw historyError;
+
+    // Only replaces the stored position when this fix is newer, so a late
+    // or replayed batch cannot move the driver back
+    const { data: current, error: latestError } = await supabase.rpc('record_driver_location', {
+      p_driver_id: driverId,
+      p_lat: latest.lat,
+      p_lng: latest.lng,
+      p_recorded_at: latest.recordedAt,
+    });
+
+    if (latestError) throw latestError;
+
+    await this._pruneHistory(driverId);
+
+    const isLatest = new Date(current.updated_at).getTime() === new Date(latest.recordedAt).getTime();
+    // A newer fix already updated the ETAs
+    const etas = isLatest ? await this.updateDriverOrderEtas(driverId, latest) : [];
+
+    return {
+      accepted: trail.length,
+      location: { lat: current.lat, lng: current.lng, updated_at: current.updated_at },
+      orders: etas,
+    };
+  }
+
+  /**
+   * Recompute and store the ETA of every active order of the driver.
+   */
+  async updateDriverOrderEtas(driverId, location) {
+    const { data: orders, error } = await supabase
+      .from('orders')
+      .select(`
+        id, status, estimated_ready_at, delivery_latitude, delivery_longitude,
+        restaurant:restaurants(id, latitude, longitude),
+        driver:drivers(vehicle_type)
+      `)
+      .eq('driver_id', driverId)
+      .in('status', TRACKED_STATUSES);
+
+    if (error) throw error;
+
+    const results = [];
+
+    for (const order of orders) {
+      const eta = this.estimateEta({
+        status: order.status,
+        driverLocation: location,
+        restaurantLocation: toPoint(order.restaurant?.latitude, order.restaurant?.longitude),
+        customerLocation: toPoint(order.delivery_latitude, order.delivery_longitude),
+        vehicleType: order.driver?.vehicle_type,
+        readyAt: order.estimated_ready_at ? new Date(order.estimated_ready_at).getTime() : null,
+      });
+
+      orderEventBus.publish(order.id, 'driver_location', {
+        lat: location.lat,
+        lng: location.lng,
+        updated_at: location.recordedAt,
+      });
+
+      if (!eta) continue;
+
+      const changes = {
+        estimated_pickup_at: eta.pickupAt ? new Date(eta.pickupAt).toISOString() : null,
+        estimated_delivery_at: new Date(eta.deliveryAt).toISOString(),
+        eta_updated_at: new Date().toISOString(),
+      };
+
+      const { error: updateError } = await supabase
+        .from('orders')
+        .update(changes)
+        .eq('id', order.id);
+
+      if (updateError) throw updateError;
+
+      orderEventBus.publish(order.id, 'eta', changes);
+      results.push({ order_id: order.id, ...changes });
+    }
+
+    return results;
+  }
+
+  /**
+   * ETA for an order from the driver's position (pure, times in ms).
+   *
+   * Before pickup: driver -> restaurant, wait until the food is ready,
+   * then restaurant -> customer. After pickup: driver -> customer.
+   * Returns { pickupAt, deliveryAt } or null when a location is missing.
+   */
+  estimateEta({ status, driverLocation, restaurantLocation, customerLocation, vehicleType, readyAt, now = Date.now() }) {
+    if (!driverLocation || !customerLocation) return null;
+
+    if (status === ORDER_STATUS.PICKED_UP) {
+      return {
+        pickupAt: null,
+        deliveryAt: now + this.travelTimeMs(driverLocation, customerLocation, vehicleType),
+      };
+    }
+
+    if (!restaurantLocation) return null;
+
+    const arrivalAtRestaurant = now + this.travelTimeMs(driverLocation, restaurantLocation, vehicleType);
+    const pickupAt = Math.max(arrivalAtRestaurant, readyAt || 0);
+
+    return {
+      pickupAt,
+      deliveryAt: pickupAt + this.travelTimeMs(restaurantLocation, customerLocation, vehicleType),
+    };
+  }
+
+  /**
+   * Travel time between two points: haversine distance stretched by a
+   * road factor, at the average speed of the vehicle type.
+   */
+  travelTimeMs(from, to, vehicleType) {
+    const { averageSpeedsKmh, roadDistanceFactor } = config.tracking;
+    const speed = averageSpeedsKmh[vehicleType] || averageSpeedsKmh.default;
+    const distanceKm = haversineKm(from, to) * roadDistanceFactor;
+    return Math.round((distanceKm / speed) * 60 * 60 * 1000);
+  }
+
+  _normalizePoints(points) {
+    if (!Array.isArray(points) || points.length === 0) {
+      throw errorResponse('points must be a non-empty array', 400, 'VALIDATION_ERROR');
+    }
+    if (points.length > MAX_POINTS_PER_BATCH) {
+      throw errorResponse(
+        `At most ${MAX_POINTS_PER_BATCH} points can be sent per batch`,
+        400,
+        'VALIDATION_ERROR'
+      );
+    }
+
+    const now = Date.now();
+
+    return points
+      .map((point, index) => {
+        const location = toPoint(point?.lat, point?.lng);
+        if (!location) {
+          throw errorResponse(`points[${index}] has invalid coordinates`, 400, 'VALIDATION_ERROR');
+        }
+
+        // Device clocks drift: never accept positions from the future
+        const recordedAt = point.recorded_at ? new Date(point.recorded_at).getTime() : now;
+        if (Number.isNaN(recordedAt)) {
+          throw errorResponse(`points[${index}].recorded_at is not a valid date`, 400, 'VALIDATION_ERROR');
+        }
+
+        return {
+          ...location,
+          ...this._parsePointFields(point, index),
+          recordedAt: new Date(Math.min(recordedAt, now)).toISOString(),
+        };
+      })
+      .sort((a, b) => a.recordedAt.localeCompare(b.recordedAt));
+  }
+
+  /**
+   * accuracy, speed and heading, null when absent; out of range is a 400.
+   */
+  _parsePointFields(point, index) {
+    const fields = {};
+
+    for (const [field, [min, max]] of Object.entries(POINT_FIELD_RANGES)) {
+      if (point[field] === undefined || point[field] === null) {
+        fields[field] = null;
+        continue;
+      }
+
+      const value = Number(point[field]);
+      if (!Number.isFinite(value) || value < min || value > max) {
+        throw errorResponse(
+          `points[${index}].${field} must be between ${min} and ${max}`,
+          400,
+          'VALIDATION_ERROR'
+        );
+      }
+      fields[field] = value;
+    }
+
+    return fields;
+  }
+
+  async _pruneHistory(driverId) {
+    const cutoff = new Date(Date.now() - config.tracking.historyRetentionMinutes * 60 * 1000);
+
+    const { error } = await supabase
+      .from('driver_location_history')
+      .delete()
+      .eq('driver_id', driverId)
+      .lt('recorded_at', cutoff.toISOString());
+
+    if (error) throw error;
+  }
+}
+
+export default new TrackingService();
@@ -0,0 +1,15 @@
+import { randomInt } from 'crypto';
+
+// No 0/O or 1/I, which get mixed up when typed from a flyer or a message
+export const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+/**
+ * Random code of `length` characters from CODE_ALPHABET, after `prefix`.
+ */
+export function randomCode(length, prefix = '') {
+  let code = prefix;
+  for (let i = 0; i < length; i++) {
+    code += CODE_ALPHABET[randomInt(CODE_ALPHABET.length)];
+  }
+  return code;
+}
@@ -0,0 +1,38 @@
+// Cells starting with these are run as formulas by spreadsheet apps
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+function toCell(value) {
+  if (value === null || value === undefined) return '';
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Build a CSV document (RFC 4180, CRLF line endings).
+ * columns: [{ key, header }] or keys; values are read from each row by key.
+ */
+export function toCsv(rows, columns) {
+  const specs = columns.map(column => (typeof column === 'string' ? { key: column, header: column } : column));
+
+  const lines = [
+    specs.map(spec => toCell(spec.header)).join(','),
+    ...rows.map(row => specs.map(spec => toCell(row[spec.key])).join(',')),
+  ];
+
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+/**
+ * Send a CSV document as a download. The byte order mark makes Excel
+ * read Arabic and accented text as UTF-8.
+ */
+export function sendCsv(res, filename, csv) {
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename.replace(/[^\w.-]/g, '_')}"`);
+  res.send(`\uFEFF${csv}`);
+}
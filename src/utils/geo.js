@@ -0,0 +1,46 @@
+const EARTH_RADIUS_KM = 6371;
+
+const toRadians = degrees => (degrees * Math.PI) / 180;
+
+/**
+ * Build a { lat, lng } point, or null when either coordinate is missing
+ * or not a valid number.
+ */
+export const toPoint = (lat, lng) => {
+  if (lat === null || lat === undefined || lng === null || lng === undefined) return null;
+  const point = { lat: Number(lat), lng: Number(lng) };
+  if (!Number.isFinite(point.lat) || !Number.isFinite(point.lng)) return null;
+  if (Math.abs(point.lat) > 90 || Math.abs(point.lng) > 180) return null;
+  return point;
+};
+
+/**
+ * Great-circle distance between two { lat, lng } points, in km.
+ */
+export const haversineKm = (from, to) => {
+  const dLat = toRadians(to.lat - from.lat);
+  const dLng = toRadians(to.lng - from.lng);
+  const a = Math.sin(dLat / 2) ** 2
+    + Math.cos(toRadians(from.lat)) * Math.cos(toRadians(to.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+};
+
+/**
+ * Ray-casting point-in-polygon test. `polygon` is a list of [lat, lng]
+ * vertices (closing vertex optional). Fine for city-sized areas.
+ */
+export const isPointInPolygon = (point, polygon) => {
+  let inside = false;
+
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const [latI, lngI] = polygon[i];
+    const [latJ, lngJ] = polygon[j];
+
+    const crosses = (latI > point.lat) !== (latJ > point.lat)
+      && point.lng < ((lngJ - lngI) * (point.lat - latI)) / (latJ - latI) + lngI;
+
+    if (crosses) inside = !inside;
+  }
+
+  return inside;
+};
@@ -0,0 +1,4 @@
+/**
+ * Round an amount to 2 decimals (DZD prices are stored as numeric(10, 2)).
+ */
+export const roundMoney = value => Math.round((Number(value) || 0) * 100) / 100;
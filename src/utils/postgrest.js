@@ -0,0 +1,14 @@
+/**
+ * Escape LIKE/ILIKE wildcards so user input only matches literally.
+ */
+export function escapeLikePattern(value) {
+  return String(value).replace(/[\\%_]/g, char => `\\${char}`);
+}
+
+/**
+ * Quote a value for a PostgREST filter string (.or(), .filter()), where
+ * commas, dots, parentheses and quotes are otherwise syntax.
+ */
+export function quoteFilterValue(value) {
+  return `"${String(value).replace(/["\\]/g, char => `\\${char}`)}"`;
+}
@@ -5,9 +5,10 @@ export const successResponse = (data, message = 'Success', meta = {}) => ({
   ...meta,
 });
 
-export const errorResponse = (message, statusCode = 400) => {
+export const errorResponse = (message, statusCode = 400, code) => {
   const error = new Error(message);
   error.statusCode = statusCode;
+  if (code) error.code = code;
   return error;
 };
 
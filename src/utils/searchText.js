@@ -0,0 +1,121 @@
+/**
+ * Search text normalisation, shared by the API and the search_normalize /
+ * search_skeleton database functions (supabase/migrations/*_search.sql).
+ * Keep both implementations in sync.
+ */
+
+// Arabic harakat, Quranic marks and tatweel; Latin accents are removed
+// as combining marks after NFKD
+const MARKS = /[\u0300-\u036F\u0610-\u061A\u064B-\u065F\u0670\u06D6-\u06ED\u0640]/g;
+
+const ARABIC_FOLDING = {
+  'ٱ': 'ا',
+  'ى': 'ي',
+  'ة': 'ه',
+  '٠': '0', '١': '1', '٢': '2', '٣': '3', '٤': '4',
+  '٥': '5', '٦': '6', '٧': '7', '٨': '8', '٩': '9',
+};
+
+// Arabic letters to the Latin spelling used in Darija transliteration
+const ARABIC_TO_LATIN = {
+  'ش': 'sh', 'خ': 'kh', 'غ': 'gh',
+  'ا': 'a', 'ب': 'b', 'ت': 't', 'ث': 't', 'ج': 'j', 'ح': 'h', 'د': 'd',
+  'ذ': 'd', 'ر': 'r', 'ز': 'z', 'س': 's', 'ص': 's', 'ض': 'd', 'ط': 't',
+  'ظ': 'd', 'ع': 'a', 'ف': 'f', 'ق': 'k', 'ك': 'k', 'ل': 'l', 'م': 'm',
+  'ن': 'n', 'ه': 'h', 'و': 'u', 'ي': 'i', 'پ': 'b', 'ڤ': 'f', 'گ': 'g',
+  'ء': '',
+};
+
+// Digits standing for Arabic sounds in Latin Darija (3ajina, 7out, 9alb)
+const DARIJA_DIGITS = { 2: '', 3: 'a', 5: 'kh', 7: 'h', 9: 'k' };
+
+// Spelling variants reduced to one form, applied in order
+const LATIN_RULES = [
+  [/dj/g, 'j'],
+  [/tch/g, 'sh'],
+  [/ch/g, 'sh'],
+  [/ph/g, 'f'],
+  [/ck/g, 'k'],
+  [/q/g, 'k'],
+  [/c(?=[eiy])/g, 's'],
+  [/c/g, 'k'],
+  [/x/g, 'ks'],
+  [/p/g, 'b'],
+  [/v/g, 'f'],
+  [/tz/g, 'z'],
+  // Darija writes ق as g (garantita / قرنطيطة)
+  [/g(?!h)/g, 'k'],
+];
+
+/**
+ * Lower-case, accent-free, diacritic-free text with Arabic letter variants
+ * folded (alef/hamza forms, alef maqsura, ta marbuta) and punctuation
+ * replaced by single spaces.
+ */
+export function normalizeSearchText(value) {
+  return String(value ?? '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(MARKS, '')
+    .replace(/[ٱىة٠-٩]/g, char => ARABIC_FOLDING[char])
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+/**
+ * Consonant skeleton of a text, in Latin letters. Arabic script and the
+ * different Latin spellings of Darija/French names map to the same key:
+ * "شوارما", "chawarma" and "shawarma" all become "shrm".
+ */
+export function skeletonKey(value) {
+  let text = normalizeSearchText(value)
+    // A final ه is almost always a ta marbuta (a vowel)
+    .replace(/ه(?=\s|$)/g, '')
+    .replace(/[\u0600-\u06FF]/g, char => ARABIC_TO_LATIN[char] ?? char)
+    .replace(/(?<=[a-z])[23579]|[23579](?=[a-z])/g, digit => DARIJA_DIGITS[digit]);
+
+  for (const [pattern, replacement] of LATIN_RULES) {
+    text = text.replace(pattern, replacement);
+  }
+
+  return text
+    .replace(/[aeiouyw]/g, '')
+    .replace(/(.)\1+/g, '$1')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Trigrams of a word, padded like pg_trgm ("  w", " wo", ..., "rd ").
+ */
+export function trigrams(word) {
+  const padded = `  ${word} `;
+  const result = new Set();
+  for (let i = 0; i < padded.length - 2; i++) {
+    result.add(padded.slice(i, i + 3));
+  }
+  return result;
+}
+
+/**
+ * Damerau-Levenshtein distance (optimal string alignment): insertions,
+ * deletions, substitutions and swaps of adjacent letters cost 1.
+ */
+export function editDistance(a, b) {
+  const rows = a.length + 1;
+  const cols = b.length + 1;
+  const d = Array.from({ length: rows }, (_, i) => [i, ...new Array(cols - 1).fill(0)]);
+  for (let j = 0; j < cols; j++) d[0][j] = j;
+
+  for (let i = 1; i < rows; i++) {
+    for (let j = 1; j < cols; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+
+  return d[rows - 1][cols - 1];
+}
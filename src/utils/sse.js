@@ -0,0 +1,37 @@
+/**
+ * Start a Server-Sent Events response.
+ */
+export const openSseStream = (res, { retryMs } = {}) => {
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+
+  if (retryMs) {
+    res.write(`retry: ${retryMs}\n\n`);
+    flush(res);
+  }
+};
+
+/**
+ * Write one event ({ id, type, data }) to an SSE response.
+ */
+export const writeSseEvent = (res, { id, type, data }) => {
+  if (id !== undefined) res.write(`id: ${id}\n`);
+  if (type) res.write(`event: ${type}\n`);
+  res.write(`data: ${JSON.stringify(data)}\n\n`);
+  flush(res);
+};
+
+export const writeSseComment = (res, comment) => {
+  res.write(`: ${comment}\n\n`);
+  flush(res);
+};
+
+// compression() buffers responses; push SSE frames out immediately
+function flush(res) {
+  if (typeof res.flush === 'function') res.flush();
+}
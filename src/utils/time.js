@@ -0,0 +1,127 @@
+import { errorResponse } from './response.js';
+
+const formatters = new Map();
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const DATE_ONLY = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+function getFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      weekday: 'short',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+/**
+ * Wall-clock fields of a date in a timezone.
+ * weekday is 0 (Sunday) to 6, like Date#getDay() and Postgres `dow`.
+ */
+export function getZonedParts(date, timeZone) {
+  const parts = {};
+  for (const { type, value } of getFormatter(timeZone).formatToParts(date)) {
+    parts[type] = value;
+  }
+
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+    weekday: WEEKDAYS.indexOf(parts.weekday),
+  };
+}
+
+function getOffsetMs(date, timeZone) {
+  const p = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * The instant at which a timezone's wall clock shows the given fields.
+ */
+export function zonedTimeToDate({ year, month, day, hour = 0, minute = 0 }, timeZone) {
+  const guess = Date.UTC(year, month - 1, day, hour, minute);
+  const offset = getOffsetMs(new Date(guess), timeZone);
+  const corrected = getOffsetMs(new Date(guess - offset), timeZone);
+
+  // Differs only around DST changes
+  return new Date(guess - corrected);
+}
+
+/**
+ * Calendar date n days after { year, month, day }.
+ */
+export function addDays({ year, month, day }, days) {
+  const date = new Date(Date.UTC(year, month - 1, day + days));
+  return {
+    year: date.getUTCFullYear(),
+    month: date.getUTCMonth() + 1,
+    day: date.getUTCDate(),
+  };
+}
+
+/**
+ * Parse 'HH:MM' (or Postgres 'HH:MM:SS') to minutes since midnight.
+ * Returns null when invalid. '24:00' is accepted as end of day.
+ */
+export function parseTimeOfDay(value) {
+  const match = /^(\d{1,2}):(\d{2})(?::\d{2})?$/.exec(String(value ?? ''));
+  if (!match) return null;
+
+  const hours = Number(match[1]);
+  const minutes = Number(match[2]);
+  if (minutes > 59 || hours > 24 || (hours === 24 && minutes > 0)) return null;
+
+  return hours * 60 + minutes;
+}
+
+/**
+ * Parse the `from` / `to` query parameters of a date filter into
+ * { from, to, toExclusive } (ISO strings or null). A date-only value
+ * ('YYYY-MM-DD') covers whole days in `timeZone`: `from` starts at its
+ * midnight and `to` ends at the next one, to be compared with `lt`.
+ */
+export function parseDateRange(from, to, timeZone) {
+  const range = { from: null, to: null, toExclusive: false };
+
+  for (const [name, value] of [['from', from], ['to', to]]) {
+    if (!value) continue;
+
+    const dateOnly = DATE_ONLY.exec(String(value));
+    let date;
+    if (dateOnly) {
+      const day = { year: Number(dateOnly[1]), month: Number(dateOnly[2]), day: Number(dateOnly[3]) };
+      const normalized = addDays(day, 0);
+      date = normalized.month === day.month && normalized.day === day.day
+        ? zonedTimeToDate(name === 'to' ? addDays(day, 1) : day, timeZone)
+        : new Date(NaN);
+      range.toExclusive = range.toExclusive || name === 'to';
+    } else {
+      date = new Date(value);
+    }
+
+    if (Number.isNaN(date.getTime())) {
+      throw errorResponse(`${name} must be a valid date`, 400, 'VALIDATION_ERROR');
+    }
+    range[name] = date.toISOString();
+  }
+
+  if (range.from && range.to && range.from > range.to) {
+    throw errorResponse('from must be before to', 400, 'VALIDATION_ERROR');
+  }
+
+  return range;
+}
@@ -0,0 +1,55 @@
+import { toPoint } from './geo.js';
+import { errorResponse } from './response.js';
+
+const MAX_ORDER_ITEMS = 50;
+const MAX_ITEM_QUANTITY = 99;
+
+/**
+ * Validate the shape of an order body (POST /api/orders and /quote)
+ * before anything is priced or written. Throws a 400 listing every problem.
+ */
+export function validateOrderInput(
+  { restaurantId, items, deliveryAddress, deliveryLatitude, deliveryLongitude },
+  { requireAddress = false } = {}
+) {
+  const errors = [];
+
+  if (!restaurantId) {
+    errors.push('restaurantId is required');
+  }
+  if (requireAddress && !deliveryAddress) {
+    errors.push('deliveryAddress is required');
+  }
+  if ((deliveryLatitude != null || deliveryLongitude != null)
+    && !toPoint(deliveryLatitude, deliveryLongitude)) {
+    errors.push('deliveryLatitude/deliveryLongitude must be valid coordinates');
+  }
+
+  if (!Array.isArray(items) || items.length === 0) {
+    errors.push('items must be a non-empty array');
+  } else if (items.length > MAX_ORDER_ITEMS) {
+    errors.push(`items cannot contain more than ${MAX_ORDER_ITEMS} lines`);
+  } else {
+    items.forEach((item, index) => {
+      if (!item || typeof item !== 'object') {
+        errors.push(`items[${index}] must be an object`);
+        return;
+      }
+      if (!item.menu_item_id) {
+        errors.push(`items[${index}].menu_item_id is required`);
+      }
+      if (!Number.isInteger(item.quantity) || item.quantity < 1 || item.quantity > MAX_ITEM_QUANTITY) {
+        errors.push(`items[${index}].quantity must be an integer between 1 and ${MAX_ITEM_QUANTITY}`);
+      }
+      if (item.customizations != null && !Array.isArray(item.customizations)) {
+        errors.push(`items[${index}].customizations must be an array`);
+      }
+    });
+  }
+
+  if (errors.length > 0) {
+    const error = errorResponse(errors[0], 400, 'VALIDATION_ERROR');
+    error.details = { errors };
+    throw error;
+  }
+}
@@ -0,0 +1,14 @@
+-- Audit trail of order status transitions (see src/config/orderStatus.js)
+create table if not exists public.order_status_history (
+  id uuid primary key default gen_random_uuid(),
+  order_id uuid not null references public.orders(id) on delete cascade,
+  from_status text,
+  to_status text not null,
+  actor_id uuid references public.user_profiles(id) on delete set null,
+  actor_role text,
+  reason text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists order_status_history_order_id_idx
+  on public.order_status_history (order_id, created_at);
@@ -0,0 +1,3 @@
+-- Promo discount applied when the order was priced server-side
+alter table public.orders
+  add column if not exists discount_amount numeric(10, 2) not null default 0;
@@ -0,0 +1,3 @@
+-- Platform service fee charged on the order (config.pricing.serviceFee)
+alter table public.orders
+  add column if not exists service_fee numeric(10, 2) not null default 0;
@@ -0,0 +1,33 @@
+-- Create an order, its items and its first status history entry in a single
+-- transaction so a failure never leaves an order without items behind.
+create or replace function public.create_order_with_items(p_order jsonb, p_items jsonb)
+returns public.orders
+language plpgsql
+as $$
+declare
+  v_order public.orders;
+begin
+  if jsonb_typeof(p_items) <> 'array' or jsonb_array_length(p_items) = 0 then
+    raise exception 'Order must contain at least one item' using errcode = '22023';
+  end if;
+
+  insert into public.orders (
+    user_id, restaurant_id, delivery_address, delivery_fee, subtotal,
+    discount_amount, service_fee, total, payment_method, promo_code, notes, status
+  )
+  select
+    o.user_id, o.restaurant_id, o.delivery_address, o.delivery_fee, o.subtotal,
+    o.discount_amount, o.service_fee, o.total, o.payment_method, o.promo_code, o.notes, o.status
+  from jsonb_populate_record(null::public.orders, p_order) as o
+  returning * into v_order;
+
+  insert into public.order_items (order_id, menu_item_id, quantity, price, subtotal, customizations)
+  select v_order.id, i.menu_item_id, i.quantity, i.price, i.subtotal, i.customizations
+  from jsonb_populate_recordset(null::public.order_items, p_items) as i;
+
+  insert into public.order_status_history (order_id, from_status, to_status, actor_id, actor_role)
+  values (v_order.id, null, v_order.status, v_order.user_id, 'customer');
+
+  return v_order;
+end;
+$$;
@@ -0,0 +1,17 @@
+-- Stored responses for Idempotency-Key headers (src/middleware/idempotency.js)
+create table if not exists public.idempotency_keys (
+  user_id uuid not null references public.user_profiles(id) on delete cascade,
+  key text not null,
+  request_hash text not null,
+  status text not null default 'in_progress'
+    check (status in ('in_progress', 'completed')),
+  response_status integer,
+  response_body jsonb,
+  created_at timestamptz not null default now(),
+  completed_at timestamptz,
+  expires_at timestamptz not null,
+  primary key (user_id, key)
+);
+
+create index if not exists idempotency_keys_expires_at_idx
+  on public.idempotency_keys (expires_at);
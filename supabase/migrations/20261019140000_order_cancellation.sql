@@ -0,0 +1,37 @@
+-- Who cancelled/rejected an order and why (src/services/cancellationService.js)
+alter table public.orders
+  add column if not exists cancelled_at timestamptz,
+  add column if not exists cancelled_by uuid references public.user_profiles(id) on delete set null,
+  add column if not exists cancelled_by_party text,
+  add column if not exists cancellation_reason_code text,
+  add column if not exists cancellation_reason text;
+
+-- Promo usage per order; released_at is set when the order is cancelled/rejected
+create table if not exists public.promo_code_redemptions (
+  id uuid primary key default gen_random_uuid(),
+  promo_code_id uuid not null references public.promo_codes(id) on delete cascade,
+  user_id uuid not null references public.user_profiles(id) on delete cascade,
+  order_id uuid not null references public.orders(id) on delete cascade,
+  discount_amount numeric(10, 2) not null default 0,
+  created_at timestamptz not null default now(),
+  released_at timestamptz,
+  unique (order_id)
+);
+
+create index if not exists promo_code_redemptions_promo_idx
+  on public.promo_code_redemptions (promo_code_id) where released_at is null;
+
+-- Refund requests for non-cash payments of cancelled/rejected orders
+create table if not exists public.refunds (
+  id uuid primary key default gen_random_uuid(),
+  order_id uuid not null references public.orders(id) on delete cascade,
+  user_id uuid not null references public.user_profiles(id) on delete cascade,
+  amount numeric(10, 2) not null,
+  payment_method text not null,
+  status text not null default 'pending'
+    check (status in ('pending', 'processing', 'succeeded', 'failed')),
+  reason text,
+  requested_by uuid references public.user_profiles(id) on delete set null,
+  created_at timestamptz not null default now(),
+  processed_at timestamptz
+);
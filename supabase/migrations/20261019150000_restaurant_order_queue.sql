@@ -0,0 +1,15 @@
+-- Restaurant staff members (besides restaurants.owner_id) who manage the order queue
+create table if not exists public.restaurant_staff (
+  restaurant_id uuid not null references public.restaurants(id) on delete cascade,
+  user_id uuid not null references public.user_profiles(id) on delete cascade,
+  created_at timestamptz not null default now(),
+  primary key (restaurant_id, user_id)
+);
+
+-- Preparation estimate set by the restaurant when accepting an order
+alter table public.orders
+  add column if not exists estimated_prep_minutes integer,
+  add column if not exists estimated_ready_at timestamptz;
+
+create index if not exists orders_restaurant_status_idx
+  on public.orders (restaurant_id, status, created_at);
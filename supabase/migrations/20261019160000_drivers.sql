@@ -0,0 +1,48 @@
+-- Delivery drivers (src/services/driverService.js)
+create table if not exists public.drivers (
+  user_id uuid primary key references public.user_profiles(id) on delete cascade,
+  vehicle_type text not null check (vehicle_type in ('bicycle', 'scooter', 'motorcycle', 'car')),
+  vehicle_plate text,
+  is_active boolean not null default true,
+  is_online boolean not null default false,
+  last_online_change_at timestamptz,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create table if not exists public.driver_shifts (
+  id uuid primary key default gen_random_uuid(),
+  driver_id uuid not null references public.drivers(user_id) on delete cascade,
+  started_at timestamptz not null default now(),
+  ended_at timestamptz
+);
+
+create index if not exists driver_shifts_open_idx
+  on public.driver_shifts (driver_id) where ended_at is null;
+
+-- Offers of an order to a driver; at most one accepted per order
+create table if not exists public.order_assignments (
+  id uuid primary key default gen_random_uuid(),
+  order_id uuid not null references public.orders(id) on delete cascade,
+  driver_id uuid not null references public.drivers(user_id) on delete cascade,
+  status text not null default 'offered'
+    check (status in ('offered', 'accepted', 'declined', 'expired', 'cancelled')),
+  offered_at timestamptz not null default now(),
+  expires_at timestamptz not null,
+  responded_at timestamptz,
+  decline_reason text,
+  assigned_by uuid references public.user_profiles(id) on delete set null
+);
+
+create index if not exists order_assignments_driver_idx
+  on public.order_assignments (driver_id, status);
+create index if not exists order_assignments_order_idx
+  on public.order_assignments (order_id, status);
+create unique index if not exists order_assignments_one_accepted_idx
+  on public.order_assignments (order_id) where status = 'accepted';
+
+alter table public.orders
+  add column if not exists driver_id uuid references public.drivers(user_id) on delete set null,
+  add column if not exists driver_assigned_at timestamptz;
+
+create index if not exists orders_driver_idx on public.orders (driver_id, status);
@@ -0,0 +1,12 @@
+-- Latest known position per driver, used by dispatch (src/services/dispatchService.js)
+create table if not exists public.driver_locations (
+  driver_id uuid primary key references public.drivers(user_id) on delete cascade,
+  lat double precision not null,
+  lng double precision not null,
+  updated_at timestamptz not null default now()
+);
+
+-- Restaurant pickup point
+alter table public.restaurants
+  add column if not exists latitude double precision,
+  add column if not exists longitude double precision;
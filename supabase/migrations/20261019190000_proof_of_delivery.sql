@@ -0,0 +1,26 @@
+-- Delivery PIN shown to the customer and handed to the driver at the door
+alter table public.orders
+  add column if not exists delivery_pin text not null
+    default lpad(floor(random() * 10000)::int::text, 4, '0'),
+  add column if not exists delivery_pin_attempts integer not null default 0,
+  add column if not exists delivered_at timestamptz;
+
+-- Proof submitted by the driver when delivering (src/services/deliveryProofService.js)
+create table if not exists public.delivery_proofs (
+  order_id uuid primary key references public.orders(id) on delete cascade,
+  driver_id uuid references public.drivers(user_id) on delete set null,
+  method text not null check (method in ('pin', 'photo', 'signature')),
+  pin_verified boolean not null default false,
+  photo_path text,
+  signature_path text,
+  cash_collected numeric(10, 2),
+  cash_difference numeric(10, 2),
+  lat double precision,
+  lng double precision,
+  created_at timestamptz not null default now()
+);
+
+-- Private bucket for photos and signatures (served through signed URLs)
+insert into storage.buckets (id, name, public)
+values ('delivery-proofs', 'delivery-proofs', false)
+on conflict (id) do nothing;
@@ -0,0 +1,32 @@
+-- Delivery zones per restaurant or per wilaya (src/services/deliveryZoneService.js)
+alter table public.restaurants
+  add column if not exists wilaya text;
+
+create table if not exists public.delivery_zones (
+  id uuid primary key default gen_random_uuid(),
+  restaurant_id uuid references public.restaurants(id) on delete cascade,
+  wilaya text,
+  name text not null,
+  type text not null check (type in ('radius', 'polygon')),
+  center_lat double precision,
+  center_lng double precision,
+  min_radius_km numeric(6, 2) not null default 0,
+  max_radius_km numeric(6, 2),
+  polygon jsonb,
+  base_fee numeric(10, 2) not null default 0,
+  per_km_fee numeric(10, 2) not null default 0,
+  min_order_amount numeric(10, 2) not null default 0,
+  free_delivery_threshold numeric(10, 2),
+  priority integer not null default 0,
+  is_active boolean not null default true,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  check (restaurant_id is not null or wilaya is not null),
+  check (type <> 'radius' or max_radius_km is not null),
+  check (type <> 'polygon' or polygon is not null)
+);
+
+create index if not exists delivery_zones_restaurant_idx
+  on public.delivery_zones (restaurant_id) where is_active;
+create index if not exists delivery_zones_wilaya_idx
+  on public.delivery_zones (wilaya) where is_active and restaurant_id is null;
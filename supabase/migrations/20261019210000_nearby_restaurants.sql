@@ -0,0 +1,7 @@
+-- Nearby restaurant search (src/services/restaurantService.js)
+alter table public.restaurants
+  add column if not exists average_prep_minutes integer check (average_prep_minutes > 0);
+
+-- Bounding box prefilter on the pickup point
+create index if not exists restaurants_location_idx
+  on public.restaurants (latitude, longitude);
@@ -0,0 +1,33 @@
+-- Restaurant opening hours (src/services/openingHoursService.js)
+-- Times are wall-clock times in Africa/Algiers. An interval whose closes_at
+-- is not after opens_at ends on the next day.
+create table if not exists public.restaurant_opening_hours (
+  id uuid primary key default gen_random_uuid(),
+  restaurant_id uuid not null references public.restaurants(id) on delete cascade,
+  day_of_week smallint not null check (day_of_week between 0 and 6),
+  opens_at time not null,
+  closes_at time not null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists restaurant_opening_hours_restaurant_idx
+  on public.restaurant_opening_hours (restaurant_id, day_of_week);
+
+-- Holidays and other exceptional closures
+create table if not exists public.restaurant_closures (
+  id uuid primary key default gen_random_uuid(),
+  restaurant_id uuid not null references public.restaurants(id) on delete cascade,
+  starts_at timestamptz not null,
+  ends_at timestamptz not null check (ends_at > starts_at),
+  reason text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists restaurant_closures_restaurant_idx
+  on public.restaurant_closures (restaurant_id, ends_at);
+
+-- Temporary "busy" pause, indefinite when paused_until is null
+alter table public.restaurants
+  add column if not exists is_paused boolean not null default false,
+  add column if not exists paused_until timestamptz,
+  add column if not exists pause_reason text;
@@ -0,0 +1,137 @@
+-- Multilingual search (src/services/searchService.js)
+-- search_normalize / search_skeleton mirror normalizeSearchText and
+-- skeletonKey in src/utils/searchText.js; keep both in sync.
+
+create or replace function public.search_normalize(value text)
+returns text
+language sql
+immutable
+as $$
+  select btrim(regexp_replace(
+    translate(
+      regexp_replace(
+        normalize(lower(coalesce(value, '')), NFKD),
+        '[\u0300-\u036F\u0610-\u061A\u064B-\u065F\u0670\u06D6-\u06ED\u0640]', '', 'g'
+      ),
+      'ٱىة٠١٢٣٤٥٦٧٨٩',
+      'ايه0123456789'
+    ),
+    '[^[:alnum:]]+', ' ', 'g'
+  ));
+$$;
+
+create or replace function public.search_skeleton(value text)
+returns text
+language plpgsql
+immutable
+as $$
+declare
+  s text := public.search_normalize(value);
+begin
+  -- A final ه is almost always a ta marbuta (a vowel)
+  s := regexp_replace(s, 'ه( |$)', '\1', 'g');
+  s := replace(replace(replace(s, 'ش', 'sh'), 'خ', 'kh'), 'غ', 'gh');
+  s := translate(s, 'ابتثجحدذرزسصضطظعفقكلمنهويپڤگء', 'abttjhddrzssdtdafkklmnhuibfg');
+
+  -- Digits standing for Arabic sounds in Latin Darija
+  s := regexp_replace(s, '(?<=[a-z])2|2(?=[a-z])', '', 'g');
+  s := regexp_replace(s, '(?<=[a-z])3|3(?=[a-z])', 'a', 'g');
+  s := regexp_replace(s, '(?<=[a-z])5|5(?=[a-z])', 'kh', 'g');
+  s := regexp_replace(s, '(?<=[a-z])7|7(?=[a-z])', 'h', 'g');
+  s := regexp_replace(s, '(?<=[a-z])9|9(?=[a-z])', 'k', 'g');
+
+  s := replace(s, 'dj', 'j');
+  s := replace(s, 'tch', 'sh');
+  s := replace(s, 'ch', 'sh');
+  s := replace(s, 'ph', 'f');
+  s := replace(s, 'ck', 'k');
+  s := replace(s, 'q', 'k');
+  s := regexp_replace(s, 'c(?=[eiy])', 's', 'g');
+  s := replace(s, 'c', 'k');
+  s := replace(s, 'x', 'ks');
+  s := replace(s, 'p', 'b');
+  s := replace(s, 'v', 'f');
+  s := replace(s, 'tz', 'z');
+  s := regexp_replace(s, 'g(?!h)', 'k', 'g');
+
+  s := regexp_replace(s, '[aeiouyw]', '', 'g');
+  s := regexp_replace(s, '(.)\1+', '\1', 'g');
+  return btrim(regexp_replace(s, '\s+', ' ', 'g'));
+end;
+$$;
+
+-- Searchable text of a row: its name/description columns in any language.
+-- Read through jsonb so optional columns (name_ar, name_fr...) may be absent.
+create or replace function public.search_document(row_data jsonb, columns text[])
+returns text
+language sql
+immutable
+as $$
+  select coalesce(string_agg(row_data ->> c, ' '), '')
+  from unnest(columns) as c
+  where row_data ->> c is not null;
+$$;
+
+create or replace function public.set_search_columns()
+returns trigger
+language plpgsql
+as $$
+declare
+  v_document text := public.search_document(to_jsonb(new), tg_argv);
+begin
+  new.search_text := public.search_normalize(v_document);
+  new.search_skeleton := public.search_skeleton(v_document);
+  return new;
+end;
+$$;
+
+alter table public.restaurants
+  add column if not exists search_text text,
+  add column if not exists search_skeleton text;
+alter table public.menu_items
+  add column if not exists search_text text,
+  add column if not exists search_skeleton text;
+alter table public.cuisine_types
+  add column if not exists search_text text,
+  add column if not exists search_skeleton text;
+
+drop trigger if exists restaurants_search_columns on public.restaurants;
+create trigger restaurants_search_columns
+  before insert or update on public.restaurants
+  for each row execute function public.set_search_columns(
+    'name', 'name_ar', 'name_fr', 'cuisine_type', 'description'
+  );
+
+drop trigger if exists menu_items_search_columns on public.menu_items;
+create trigger menu_items_search_columns
+  before insert or update on public.menu_items
+  for each row execute function public.set_search_columns(
+    'name', 'name_ar', 'name_fr', 'description'
+  );
+
+drop trigger if exists cuisine_types_search_columns on public.cuisine_types;
+create trigger cuisine_types_search_columns
+  before insert or update on public.cuisine_types
+  for each row execute function public.set_search_columns(
+    'name', 'name_ar', 'name_fr', 'description'
+  );
+
+-- Backfill through the triggers
+update public.restaurants set search_text = null;
+update public.menu_items set search_text = null;
+update public.cuisine_types set search_text = null;
+
+create extension if not exists pg_trgm;
+
+create index if not exists restaurants_search_text_idx
+  on public.restaurants using gin (search_text gin_trgm_ops);
+create index if not exists restaurants_search_skeleton_idx
+  on public.restaurants using gin (search_skeleton gin_trgm_ops);
+create index if not exists menu_items_search_text_idx
+  on public.menu_items using gin (search_text gin_trgm_ops);
+create index if not exists menu_items_search_skeleton_idx
+  on public.menu_items using gin (search_skeleton gin_trgm_ops);
+create index if not exists cuisine_types_search_text_idx
+  on public.cuisine_types using gin (search_text gin_trgm_ops);
+create index if not exists cuisine_types_search_skeleton_idx
+  on public.cuisine_types using gin (search_skeleton gin_trgm_ops);
@@ -0,0 +1,86 @@
+-- Promo code discount types and usage limits (src/services/promoCodeService.js)
+alter table public.promo_codes
+  add column if not exists discount_type text not null default 'percentage',
+  add column if not exists discount_value numeric(10, 2) not null default 0,
+  add column if not exists max_discount_amount numeric(10, 2),
+  add column if not exists min_order_amount numeric(10, 2) not null default 0,
+  add column if not exists usage_limit integer check (usage_limit > 0),
+  -- Null is no limit: existing codes keep it, new ones default to 1 below
+  add column if not exists per_user_limit integer check (per_user_limit > 0),
+  add column if not exists first_order_only boolean not null default false,
+  add column if not exists is_active boolean not null default true;
+
+alter table public.promo_codes
+  alter column per_user_limit set default 1;
+
+alter table public.promo_codes
+  drop constraint if exists promo_codes_discount_type_check;
+alter table public.promo_codes
+  add constraint promo_codes_discount_type_check
+  check (discount_type in ('percentage', 'fixed', 'free_delivery'));
+
+create index if not exists promo_code_redemptions_user_idx
+  on public.promo_code_redemptions (promo_code_id, user_id) where released_at is null;
+
+-- Record the promo redemption with the order. The promo row is locked so
+-- concurrent orders cannot both take the last use of a limited code.
+drop function if exists public.create_order_with_items(jsonb, jsonb);
+
+create or replace function public.create_order_with_items(p_order jsonb, p_items jsonb, p_promo jsonb default null)
+returns public.orders
+language plpgsql
+as $$
+declare
+  v_order public.orders;
+  v_promo public.promo_codes;
+begin
+  if jsonb_typeof(p_items) <> 'array' or jsonb_array_length(p_items) = 0 then
+    raise exception 'Order must contain at least one item' using errcode = '22023';
+  end if;
+
+  insert into public.orders (
+    user_id, restaurant_id, delivery_address, delivery_latitude, delivery_longitude,
+    delivery_fee, subtotal, discount_amount, service_fee, total, payment_method,
+    promo_code, notes, scheduled_for, release_at, status
+  )
+  select
+    o.user_id, o.restaurant_id, o.delivery_address, o.delivery_latitude, o.delivery_longitude,
+    o.delivery_fee, o.subtotal, o.discount_amount, o.service_fee, o.total, o.payment_method,
+    o.promo_code, o.notes, o.scheduled_for, o.release_at, o.status
+  from jsonb_populate_record(null::public.orders, p_order) as o
+  returning * into v_order;
+
+  insert into public.order_items (order_id, menu_item_id, quantity, price, subtotal, customizations)
+  select v_order.id, i.menu_item_id, i.quantity, i.price, i.subtotal, i.customizations
+  from jsonb_populate_recordset(null::public.order_items, p_items) as i;
+
+  if p_promo is not null then
+    select * into v_promo
+    from public.promo_codes
+    where id = (p_promo ->> 'promo_code_id')::uuid
+    for update;
+
+    if v_promo.usage_limit is not null and (
+      select count(*) from public.promo_code_redemptions
+      where promo_code_id = v_promo.id and released_at is null
+    ) >= v_promo.usage_limit then
+      raise exception 'PROMO_USAGE_LIMIT_REACHED';
+    end if;
+
+    if v_promo.per_user_limit is not null and (
+      select count(*) from public.promo_code_redemptions
+      where promo_code_id = v_promo.id and user_id = v_order.user_id and released_at is null
+    ) >= v_promo.per_user_limit then
+      raise exception 'PROMO_USER_LIMIT_REACHED';
+    end if;
+
+    insert into public.promo_code_redemptions (promo_code_id, user_id, order_id, discount_amount)
+    values (v_promo.id, v_order.user_id, v_order.id, coalesce((p_promo ->> 'discount_amount')::numeric, 0));
+  end if;
+
+  insert into public.order_status_history (order_id, from_status, to_status, actor_id, actor_role)
+  values (v_order.id, null, v_order.status, v_order.user_id, 'customer');
+
+  return v_order;
+end;
+$$;
@@ -0,0 +1,17 @@
+-- Promo code management (src/services/promoCodeManagementService.js)
+
+alter table public.promo_codes
+  add column if not exists is_public boolean not null default true,
+  add column if not exists campaign text,
+  add column if not exists created_by uuid references public.user_profiles(id) on delete set null,
+  add column if not exists updated_at timestamptz not null default now();
+
+-- Codes are matched case-insensitively and stored upper case
+update public.promo_codes set code = upper(code) where code <> upper(code);
+
+create unique index if not exists promo_codes_code_key
+  on public.promo_codes (code);
+create index if not exists promo_codes_campaign_idx
+  on public.promo_codes (campaign) where campaign is not null;
+create index if not exists promo_codes_restaurant_id_idx
+  on public.promo_codes (restaurant_id);
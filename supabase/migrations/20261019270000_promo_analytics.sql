@@ -0,0 +1,21 @@
+-- Promo redemption analytics (src/services/promoAnalyticsService.js)
+
+create index if not exists promo_code_redemptions_promo_created_idx
+  on public.promo_code_redemptions (promo_code_id, created_at);
+
+create index if not exists orders_user_delivered_idx
+  on public.orders (user_id, created_at) where status = 'delivered';
+
+-- Date of each user's first delivered order, to tell new customers from
+-- returning ones. Users without a delivered order are not returned.
+create or replace function public.first_delivered_orders(p_user_ids uuid[])
+returns table (user_id uuid, first_delivered_at timestamptz)
+language sql
+stable
+as $$
+  select o.user_id, min(o.created_at)
+  from public.orders o
+  where o.user_id = any(p_user_ids)
+    and o.status = 'delivered'
+  group by o.user_id;
+$$;
@@ -0,0 +1,135 @@
+-- Automatic promotions (src/services/promotionService.js)
+
+create table if not exists public.promotions (
+  id uuid primary key default gen_random_uuid(),
+  restaurant_id uuid not null references public.restaurants(id) on delete cascade,
+  name text not null,
+  description text,
+  type text not null check (type in ('percentage', 'fixed', 'bogo', 'free_item')),
+  value numeric(10, 2) not null default 0 check (value >= 0),
+  max_discount_amount numeric(10, 2),
+  -- Eligible items; both empty means the whole menu
+  menu_item_ids uuid[] not null default '{}',
+  categories text[] not null default '{}',
+  min_basket_amount numeric(10, 2) not null default 0,
+  -- 0 = Sunday; empty means every day. Times are local (restaurant timezone)
+  days_of_week smallint[] not null default '{}',
+  start_time time,
+  end_time time,
+  starts_at timestamptz,
+  ends_at timestamptz,
+  buy_quantity integer not null default 1 check (buy_quantity > 0),
+  get_quantity integer not null default 1 check (get_quantity > 0),
+  free_menu_item_id uuid references public.menu_items(id) on delete set null,
+  free_quantity integer not null default 1 check (free_quantity > 0),
+  priority integer not null default 0,
+  combinable_with_promo_codes boolean not null default false,
+  is_active boolean not null default true,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  check (type <> 'percentage' or value <= 100),
+  check (type <> 'free_item' or free_menu_item_id is not null),
+  check ((start_time is null) = (end_time is null))
+);
+
+create index if not exists promotions_restaurant_active_idx
+  on public.promotions (restaurant_id) where is_active;
+
+-- Promotions applied to an order, as priced
+create table if not exists public.order_promotions (
+  id uuid primary key default gen_random_uuid(),
+  order_id uuid not null references public.orders(id) on delete cascade,
+  promotion_id uuid references public.promotions(id) on delete set null,
+  name text not null,
+  type text not null,
+  discount_amount numeric(10, 2) not null default 0,
+  details jsonb,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists order_promotions_order_idx
+  on public.order_promotions (order_id);
+create index if not exists order_promotions_promotion_idx
+  on public.order_promotions (promotion_id);
+
+-- Per-line promotion discount; free items are lines priced 0
+alter table public.order_items
+  add column if not exists discount_amount numeric(10, 2) not null default 0,
+  add column if not exists promotion_id uuid references public.promotions(id) on delete set null;
+
+drop function if exists public.create_order_with_items(jsonb, jsonb, jsonb);
+
+create or replace function public.create_order_with_items(
+  p_order jsonb,
+  p_items jsonb,
+  p_promo jsonb default null,
+  p_promotions jsonb default null
+)
+returns public.orders
+language plpgsql
+as $$
+declare
+  v_order public.orders;
+  v_promo public.promo_codes;
+begin
+  if jsonb_typeof(p_items) <> 'array' or jsonb_array_length(p_items) = 0 then
+    raise exception 'Order must contain at least one item' using errcode = '22023';
+  end if;
+
+  insert into public.orders (
+    user_id, restaurant_id, delivery_address, delivery_latitude, delivery_longitude,
+    delivery_fee, subtotal, discount_amount, service_fee, total, payment_method,
+    promo_code, notes, scheduled_for, release_at, status
+  )
+  select
+    o.user_id, o.restaurant_id, o.delivery_address, o.delivery_latitude, o.delivery_longitude,
+    o.delivery_fee, o.subtotal, o.discount_amount, o.service_fee, o.total, o.payment_method,
+    o.promo_code, o.notes, o.scheduled_for, o.release_at, o.status
+  from jsonb_populate_record(null::public.orders, p_order) as o
+  returning * into v_order;
+
+  insert into public.order_items (
+    order_id, menu_item_id, quantity, price, subtotal, discount_amount, promotion_id, customizations
+  )
+  select
+    v_order.id, i.menu_item_id, i.quantity, i.price, i.subtotal, coalesce(i.discount_amount, 0),
+    i.promotion_id, i.customizations
+  from jsonb_populate_recordset(null::public.order_items, p_items) as i;
+
+  if p_promotions is not null and jsonb_array_length(p_promotions) > 0 then
+    insert into public.order_promotions (order_id, promotion_id, name, type, discount_amount, details)
+    select v_order.id, p.promotion_id, p.name, p.type, coalesce(p.discount_amount, 0), p.details
+    from jsonb_to_recordset(p_promotions)
+      as p(promotion_id uuid, name text, type text, discount_amount numeric, details jsonb);
+  end if;
+
+  if p_promo is not null then
+    select * into v_promo
+    from public.promo_codes
+    where id = (p_promo ->> 'promo_code_id')::uuid
+    for update;
+
+    if v_promo.usage_limit is not null and (
+      select count(*) from public.promo_code_redemptions
+      where promo_code_id = v_promo.id and released_at is null
+    ) >= v_promo.usage_limit then
+      raise exception 'PROMO_USAGE_LIMIT_REACHED';
+    end if;
+
+    if v_promo.per_user_limit is not null and (
+      select count(*) from public.promo_code_redemptions
+      where promo_code_id = v_promo.id and user_id = v_order.user_id and released_at is null
+    ) >= v_promo.per_user_limit then
+      raise exception 'PROMO_USER_LIMIT_REACHED';
+    end if;
+
+    insert into public.promo_code_redemptions (promo_code_id, user_id, order_id, discount_amount)
+    values (v_promo.id, v_order.user_id, v_order.id, coalesce((p_promo ->> 'discount_amount')::numeric, 0));
+  end if;
+
+  insert into public.order_status_history (order_id, from_status, to_status, actor_id, actor_role)
+  values (v_order.id, null, v_order.status, v_order.user_id, 'customer');
+
+  return v_order;
+end;
+$$;
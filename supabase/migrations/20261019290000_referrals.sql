@@ -0,0 +1,57 @@
+-- Referral programme (src/services/referralService.js)
+
+create table if not exists public.referral_codes (
+  user_id uuid primary key references public.user_profiles(id) on delete cascade,
+  code text not null unique,
+  created_at timestamptz not null default now()
+);
+
+create table if not exists public.referrals (
+  id uuid primary key default gen_random_uuid(),
+  referrer_id uuid not null references public.user_profiles(id) on delete cascade,
+  -- A user can be referred once
+  referee_id uuid not null unique references public.user_profiles(id) on delete cascade,
+  code text not null,
+  device_id text,
+  status text not null default 'pending' check (status in ('pending', 'rewarded', 'rejected')),
+  rejection_reason text,
+  qualifying_order_id uuid references public.orders(id) on delete set null,
+  created_at timestamptz not null default now(),
+  rewarded_at timestamptz,
+  check (referrer_id <> referee_id)
+);
+
+create index if not exists referrals_referrer_idx
+  on public.referrals (referrer_id, status);
+
+create table if not exists public.referral_rewards (
+  id uuid primary key default gen_random_uuid(),
+  referral_id uuid not null references public.referrals(id) on delete cascade,
+  user_id uuid not null references public.user_profiles(id) on delete cascade,
+  role text not null check (role in ('referrer', 'referee')),
+  amount numeric(10, 2) not null,
+  promo_code_id uuid references public.promo_codes(id) on delete set null,
+  created_at timestamptz not null default now(),
+  unique (referral_id, user_id)
+);
+
+create index if not exists referral_rewards_user_idx
+  on public.referral_rewards (user_id);
+
+-- Devices seen per account, for the same-device guard
+create table if not exists public.user_devices (
+  user_id uuid not null references public.user_profiles(id) on delete cascade,
+  device_id text not null,
+  last_seen_at timestamptz not null default now(),
+  primary key (user_id, device_id)
+);
+
+create index if not exists user_devices_device_idx
+  on public.user_devices (device_id);
+
+-- Personal promo codes (referral rewards) only their user can redeem
+alter table public.promo_codes
+  add column if not exists assigned_user_id uuid references public.user_profiles(id) on delete cascade;
+
+create index if not exists promo_codes_assigned_user_idx
+  on public.promo_codes (assigned_user_id) where assigned_user_id is not null;
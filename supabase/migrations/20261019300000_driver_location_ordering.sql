@@ -0,0 +1,28 @@
+-- Latest driver position only moves forward in time (src/services/trackingService.js)
+create or replace function public.record_driver_location(
+  p_driver_id uuid,
+  p_lat double precision,
+  p_lng double precision,
+  p_recorded_at timestamptz
+)
+returns public.driver_locations
+language plpgsql
+as $$
+declare
+  v_location public.driver_locations;
+begin
+  insert into public.driver_locations (driver_id, lat, lng, updated_at)
+  values (p_driver_id, p_lat, p_lng, p_recorded_at)
+  on conflict (driver_id) do update
+    set lat = excluded.lat,
+        lng = excluded.lng,
+        updated_at = excluded.updated_at
+    where excluded.updated_at > public.driver_locations.updated_at;
+
+  select * into v_location
+  from public.driver_locations
+  where driver_id = p_driver_id;
+
+  return v_location;
+end;
+$$;
@@ -0,0 +1,66 @@
+-- open_now filtering in SQL (src/services/restaurantService.js)
+-- Mirrors OpeningHoursService.computeOpenStatus at a single instant: not
+-- paused, no closure, and inside a weekly interval (or no hours at all).
+
+create or replace function public.restaurant_open_at(
+  p_restaurant public.restaurants,
+  p_at timestamptz,
+  p_timezone text
+)
+returns boolean
+language sql
+stable
+as $$
+  with local as (
+    select (p_at at time zone p_timezone) as ts
+  )
+  select
+    not (
+      p_restaurant.is_paused
+      and (p_restaurant.paused_until is null or p_restaurant.paused_until > p_at)
+    )
+    and not exists (
+      select 1
+      from public.restaurant_closures c
+      where c.restaurant_id = p_restaurant.id
+        and c.starts_at <= p_at
+        and c.ends_at > p_at
+    )
+    and (
+      not exists (
+        select 1 from public.restaurant_opening_hours h where h.restaurant_id = p_restaurant.id
+      )
+      or exists (
+        select 1
+        from public.restaurant_opening_hours h, local
+        where h.restaurant_id = p_restaurant.id
+          and (
+            -- Interval starting today (running past midnight when closes_at <= opens_at)
+            (
+              h.day_of_week = extract(dow from local.ts)
+              and local.ts::time >= h.opens_at
+              and (h.closes_at <= h.opens_at or local.ts::time < h.closes_at)
+            )
+            -- Tail of yesterday's overnight interval
+            or (
+              h.closes_at <= h.opens_at
+              and h.day_of_week = extract(dow from local.ts - interval '1 day')
+              and local.ts::time < h.closes_at
+            )
+          )
+      )
+    );
+$$;
+
+-- Computed column for PostgREST filters (?is_open_now=eq.true). The
+-- timezone is config.openingHours.timezone's default; keep both in sync.
+create or replace function public.is_open_now(public.restaurants)
+returns boolean
+language sql
+stable
+as $$
+  select public.restaurant_open_at($1, now(), 'Africa/Algiers');
+$$;
+
+create index if not exists restaurant_closures_active_idx
+  on public.restaurant_closures (restaurant_id, starts_at, ends_at);
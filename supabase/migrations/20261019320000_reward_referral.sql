@@ -0,0 +1,74 @@
+-- Referral rewards in one transaction (src/services/referralService.js)
+--
+-- Closes a pending referral and issues both reward codes together, so a
+-- failure leaves the referral pending. The referrer's referral code row is
+-- locked while rewards are counted so concurrent deliveries cannot go over
+-- p_max_rewards. Returns the issued referral_rewards, none when the
+-- referral was no longer pending or the referrer hit the cap (the referral
+-- is then rejected with REFERRER_LIMIT_REACHED).
+--
+-- p_rewards: [{ user_id, role, amount, code, description }]
+create or replace function public.reward_referral(
+  p_referral_id uuid,
+  p_order_id uuid,
+  p_rewards jsonb,
+  p_end_date timestamptz,
+  p_max_rewards integer
+)
+returns setof public.referral_rewards
+language plpgsql
+as $$
+declare
+  v_referral public.referrals;
+  v_reward record;
+  v_promo_id uuid;
+begin
+  select * into v_referral
+  from public.referrals
+  where id = p_referral_id and status = 'pending'
+  for update;
+
+  if not found then
+    return;
+  end if;
+
+  perform 1
+  from public.referral_codes
+  where user_id = v_referral.referrer_id
+  for update;
+
+  if (
+    select count(*) from public.referrals
+    where referrer_id = v_referral.referrer_id and status = 'rewarded'
+  ) >= p_max_rewards then
+    update public.referrals
+    set status = 'rejected', rejection_reason = 'REFERRER_LIMIT_REACHED'
+    where id = v_referral.id;
+    return;
+  end if;
+
+  for v_reward in
+    select * from jsonb_to_recordset(p_rewards)
+      as r(user_id uuid, role text, amount numeric, code text, description text)
+  loop
+    insert into public.promo_codes (
+      code, description, discount_type, discount_value, usage_limit, per_user_limit,
+      end_date, is_public, campaign, assigned_user_id
+    )
+    values (
+      v_reward.code, v_reward.description, 'fixed', v_reward.amount, 1, 1,
+      p_end_date, false, 'referral', v_reward.user_id
+    )
+    returning id into v_promo_id;
+
+    return query
+      insert into public.referral_rewards (referral_id, user_id, role, amount, promo_code_id)
+      values (v_referral.id, v_reward.user_id, v_reward.role, v_reward.amount, v_promo_id)
+      returning *;
+  end loop;
+
+  update public.referrals
+  set status = 'rewarded', qualifying_order_id = p_order_id, rewarded_at = now()
+  where id = v_referral.id;
+end;
+$$;
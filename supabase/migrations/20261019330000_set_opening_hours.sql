@@ -0,0 +1,24 @@
+-- Replace a restaurant's weekly hours in one transaction
+-- (src/services/openingHoursService.js). A restaurant without hours is
+-- always open, so the old hours must never be gone without the new ones.
+--
+-- p_rows: [{ day_of_week, opens_at, closes_at }]
+create or replace function public.set_opening_hours(
+  p_restaurant_id uuid,
+  p_rows jsonb
+)
+returns setof public.restaurant_opening_hours
+language plpgsql
+as $$
+begin
+  delete from public.restaurant_opening_hours
+  where restaurant_id = p_restaurant_id;
+
+  return query
+    insert into public.restaurant_opening_hours (restaurant_id, day_of_week, opens_at, closes_at)
+    select p_restaurant_id, r.day_of_week, r.opens_at, r.closes_at
+    from jsonb_to_recordset(coalesce(p_rows, '[]'::jsonb))
+      as r(day_of_week smallint, opens_at time, closes_at time)
+    returning *;
+end;
+$$;
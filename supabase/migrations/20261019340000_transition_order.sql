@@ -0,0 +1,47 @@
+-- Order status change and its history entry in one transaction
+-- (OrderService.transitionOrder). Guarded on the current status: returns
+-- no row when the order is no longer in p_from_status.
+--
+-- p_changes: other orders columns to write along with the status.
+create or replace function public.transition_order(
+  p_order_id uuid,
+  p_from_status text,
+  p_to_status text,
+  p_changes jsonb default '{}'::jsonb,
+  p_actor_id uuid default null,
+  p_actor_role text default null,
+  p_reason text default null
+)
+returns setof public.orders
+language plpgsql
+as $$
+declare
+  v_order public.orders;
+  v_columns text;
+begin
+  select string_agg(format('%I = c.%I', column_name, column_name), ', ')
+  into v_columns
+  from jsonb_object_keys(coalesce(p_changes, '{}'::jsonb)) as column_name
+  where column_name not in ('id', 'status', 'updated_at');
+
+  execute format(
+    'update public.orders o
+     set %s status = $3, updated_at = now()
+     from jsonb_populate_record(null::public.orders, $4) as c
+     where o.id = $1 and o.status = $2
+     returning o.*',
+    coalesce(v_columns || ',', '')
+  )
+  into v_order
+  using p_order_id, p_from_status, p_to_status, coalesce(p_changes, '{}'::jsonb);
+
+  if v_order.id is null then
+    return;
+  end if;
+
+  insert into public.order_status_history (order_id, from_status, to_status, actor_id, actor_role, reason)
+  values (v_order.id, p_from_status, p_to_status, p_actor_id, p_actor_role, p_reason);
+
+  return next v_order;
+end;
+$$;
@@ -0,0 +1,54 @@
+-- Refund requests of cancelled/rejected orders are created in the same
+-- transaction as the status change (src/services/cancellationService.js),
+-- so a paid order cannot be closed without a refund being owed.
+drop function if exists public.transition_order(uuid, text, text, jsonb, uuid, text, text);
+
+create or replace function public.transition_order(
+  p_order_id uuid,
+  p_from_status text,
+  p_to_status text,
+  p_changes jsonb default '{}'::jsonb,
+  p_actor_id uuid default null,
+  p_actor_role text default null,
+  p_reason text default null,
+  p_refund jsonb default null
+)
+returns setof public.orders
+language plpgsql
+as $$
+declare
+  v_order public.orders;
+  v_columns text;
+begin
+  select string_agg(format('%I = c.%I', column_name, column_name), ', ')
+  into v_columns
+  from jsonb_object_keys(coalesce(p_changes, '{}'::jsonb)) as column_name
+  where column_name not in ('id', 'status', 'updated_at');
+
+  execute format(
+    'update public.orders o
+     set %s status = $3, updated_at = now()
+     from jsonb_populate_record(null::public.orders, $4) as c
+     where o.id = $1 and o.status = $2
+     returning o.*',
+    coalesce(v_columns || ',', '')
+  )
+  into v_order
+  using p_order_id, p_from_status, p_to_status, coalesce(p_changes, '{}'::jsonb);
+
+  if v_order.id is null then
+    return;
+  end if;
+
+  insert into public.order_status_history (order_id, from_status, to_status, actor_id, actor_role, reason)
+  values (v_order.id, p_from_status, p_to_status, p_actor_id, p_actor_role, p_reason);
+
+  if p_refund is not null then
+    insert into public.refunds (order_id, user_id, amount, payment_method, status, reason, requested_by)
+    select v_order.id, v_order.user_id, r.amount, r.payment_method, 'pending', r.reason, r.requested_by
+    from jsonb_populate_record(null::public.refunds, p_refund) as r;
+  end if;
+
+  return next v_order;
+end;
+$$;
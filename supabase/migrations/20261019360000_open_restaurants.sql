@@ -0,0 +1,16 @@
+-- open_now takes its timezone from the API (config.openingHours.timezone)
+-- instead of a copy hard-coded in SQL, so the filter and the is_open flag
+-- computed by OpeningHoursService always agree.
+drop function if exists public.is_open_now(public.restaurants);
+
+-- Restaurants open right now. PostgREST filters, ordering, range and
+-- counts apply to the result like on the restaurants table.
+create or replace function public.open_restaurants(p_timezone text)
+returns setof public.restaurants
+language sql
+stable
+as $$
+  select r.*
+  from public.restaurants r
+  where public.restaurant_open_at(r, now(), p_timezone);
+$$;
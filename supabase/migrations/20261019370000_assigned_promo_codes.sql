@@ -0,0 +1,81 @@
+-- Personal promo codes (referral rewards, see assigned_user_id) are
+-- rechecked under lock with the other promo limits, not only by
+-- PromoCodeService.validatePromoCode.
+create or replace function public.create_order_with_items(
+  p_order jsonb,
+  p_items jsonb,
+  p_promo jsonb default null,
+  p_promotions jsonb default null
+)
+returns public.orders
+language plpgsql
+as $$
+declare
+  v_order public.orders;
+  v_promo public.promo_codes;
+begin
+  if jsonb_typeof(p_items) <> 'array' or jsonb_array_length(p_items) = 0 then
+    raise exception 'Order must contain at least one item' using errcode = '22023';
+  end if;
+
+  insert into public.orders (
+    user_id, restaurant_id, delivery_address, delivery_latitude, delivery_longitude,
+    delivery_fee, subtotal, discount_amount, service_fee, total, payment_method,
+    promo_code, notes, scheduled_for, release_at, status
+  )
+  select
+    o.user_id, o.restaurant_id, o.delivery_address, o.delivery_latitude, o.delivery_longitude,
+    o.delivery_fee, o.subtotal, o.discount_amount, o.service_fee, o.total, o.payment_method,
+    o.promo_code, o.notes, o.scheduled_for, o.release_at, o.status
+  from jsonb_populate_record(null::public.orders, p_order) as o
+  returning * into v_order;
+
+  insert into public.order_items (
+    order_id, menu_item_id, quantity, price, subtotal, discount_amount, promotion_id, customizations
+  )
+  select
+    v_order.id, i.menu_item_id, i.quantity, i.price, i.subtotal, coalesce(i.discount_amount, 0),
+    i.promotion_id, i.customizations
+  from jsonb_populate_recordset(null::public.order_items, p_items) as i;
+
+  if p_promotions is not null and jsonb_array_length(p_promotions) > 0 then
+    insert into public.order_promotions (order_id, promotion_id, name, type, discount_amount, details)
+    select v_order.id, p.promotion_id, p.name, p.type, coalesce(p.discount_amount, 0), p.details
+    from jsonb_to_recordset(p_promotions)
+      as p(promotion_id uuid, name text, type text, discount_amount numeric, details jsonb);
+  end if;
+
+  if p_promo is not null then
+    select * into v_promo
+    from public.promo_codes
+    where id = (p_promo ->> 'promo_code_id')::uuid
+    for update;
+
+    if v_promo.assigned_user_id is not null and v_promo.assigned_user_id <> v_order.user_id then
+      raise exception 'PROMO_NOT_ASSIGNED';
+    end if;
+
+    if v_promo.usage_limit is not null and (
+      select count(*) from public.promo_code_redemptions
+      where promo_code_id = v_promo.id and released_at is null
+    ) >= v_promo.usage_limit then
+      raise exception 'PROMO_USAGE_LIMIT_REACHED';
+    end if;
+
+    if v_promo.per_user_limit is not null and (
+      select count(*) from public.promo_code_redemptions
+      where promo_code_id = v_promo.id and user_id = v_order.user_id and released_at is null
+    ) >= v_promo.per_user_limit then
+      raise exception 'PROMO_USER_LIMIT_REACHED';
+    end if;
+
+    insert into public.promo_code_redemptions (promo_code_id, user_id, order_id, discount_amount)
+    values (v_promo.id, v_order.user_id, v_order.id, coalesce((p_promo ->> 'discount_amount')::numeric, 0));
+  end if;
+
+  insert into public.order_status_history (order_id, from_status, to_status, actor_id, actor_role)
+  values (v_order.id, null, v_order.status, v_order.user_id, 'customer');
+
+  return v_order;
+end;
+$$;
@@ -0,0 +1,181 @@
+import './setup.js';
+
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { DispatchService } from '../src/services/dispatchService.js';
+import { InMemoryDispatchStore, SupabaseDispatchStore } from '../src/services/dispatchStores.js';
+import { mockRest } from './setup.js';
+
+const NOW = Date.parse('2026-10-19T12:00:00Z');
+const RESTAURANT = { lat: 36.7538, lng: 3.0588 };
+
+const OPTIONS = {
+  radiiKm: [3, 6, 10],
+  offersPerRound: 1,
+  maxActiveOrders: 2,
+  locationMaxAgeSeconds: 300,
+  reofferCooldownSeconds: 300,
+  offerTimeoutSeconds: 30,
+  weights: { distance: 0.6, load: 0.25, acceptance: 0.15 },
+};
+
+// About `km` kilometres north of the restaurant
+const north = km => ({ lat: RESTAURANT.lat + km / 111.2, lng: RESTAURANT.lng });
+
+const driver = (id, overrides = {}) => ({
+  id,
+  vehicleType: 'motorcycle',
+  location: north(1),
+  locationUpdatedAt: NOW - 10_000,
+  activeOrders: 0,
+  acceptanceRate: 1,
+  ...overrides,
+});
+
+const setup = ({ drivers = [], order = {}, offers = [] } = {}) => {
+  let now = NOW;
+  const store = new InMemoryDispatchStore({
+    drivers,
+    orders: [{ id: 'o1', status: 'preparing', driverId: null, restaurantLocation: RESTAURANT, ...order }],
+    offers,
+  });
+  const service = new DispatchService({ store, now: () => now, options: OPTIONS });
+  return {
+    store,
+    service,
+    advance: ms => {
+      now += ms;
+    },
+  };
+};
+
+describe('DispatchService.rankDrivers', () => {
+  const { service } = setup();
+
+  it('prefers closer drivers', () => {
+    const ranked = service.rankDrivers([driver('far', { location: north(2.5) }), driver('near')], RESTAURANT, 3);
+    assert.deepEqual(ranked.map(({ driver: d }) => d.id), ['near', 'far']);
+  });
+
+  it('weighs load and acceptance rate against distance', () => {
+    const ranked = service.rankDrivers([
+      driver('busy', { activeOrders: 1, acceptanceRate: 0.2 }),
+      driver('free', { location: north(1.2) }),
+    ], RESTAURANT, 3);
+    assert.equal(ranked[0].driver.id, 'free');
+  });
+
+  it('leaves out drivers outside the radius, full, excluded or without a recent position', () => {
+    const ranked = service.rankDrivers([
+      driver('ok'),
+      driver('outside', { location: north(4) }),
+      driver('full', { activeOrders: 2 }),
+      driver('excluded'),
+      driver('stale', { locationUpdatedAt: NOW - 301_000 }),
+      driver('undated', { locationUpdatedAt: null }),
+      driver('nowhere', { location: null }),
+    ], RESTAURANT, 3, { excludeIds: new Set(['excluded']) });
+    assert.deepEqual(ranked.map(({ driver: d }) => d.id), ['ok']);
+  });
+
+  it('breaks ties by driver id', () => {
+    const ranked = service.rankDrivers([driver('b'), driver('a')], RESTAURANT, 3);
+    assert.deepEqual(ranked.map(({ driver: d }) => d.id), ['a', 'b']);
+  });
+});
+
+describe('DispatchService.dispatchOrder', () => {
+  it('offers the order to the best driver with an expiring offer', async () => {
+    const { service, store } = setup({ drivers: [driver('d1'), driver('d2', { location: north(2) })] });
+
+    const result = await service.dispatchOrder('o1');
+
+    assert.equal(result.status, 'offered');
+    assert.equal(result.radiusKm, 3);
+    assert.deepEqual(result.offers.map(offer => offer.driverId), ['d1']);
+    assert.deepEqual(store.offers, [
+      { orderId: 'o1', driverId: 'd1', status: 'offered', offeredAt: NOW, expiresAt: NOW + 30_000 },
+    ]);
+  });
+
+  it('widens the radius when nobody is close', async () => {
+    const { service } = setup({ drivers: [driver('d1', { location: north(5) })] });
+
+    const result = await service.dispatchOrder('o1');
+
+    assert.equal(result.status, 'offered');
+    assert.equal(result.radiusKm, 6);
+  });
+
+  it('waits while an offer is open, then moves on to the next driver', async () => {
+    const { service, advance } = setup({ drivers: [driver('d1'), driver('d2', { location: north(2) })] });
+
+    await service.dispatchOrder('o1');
+    assert.equal((await service.dispatchOrder('o1')).status, 'offer_pending');
+
+    advance(31_000);
+    const result = await service.dispatchOrder('o1');
+    assert.deepEqual(result.offers.map(offer => offer.driverId), ['d2']);
+  });
+
+  it('offers the order again to a driver after the cool-down', async () => {
+    const { service, store, advance } = setup({ drivers: [driver('d1')] });
+
+    await service.dispatchOrder('o1');
+    advance(31_000);
+    assert.equal((await service.dispatchOrder('o1')).status, 'no_drivers');
+
+    advance(300_000);
+    store.setDriver({ id: 'd1', locationUpdatedAt: NOW + 330_000 });
+    const result = await service.dispatchOrder('o1');
+    assert.equal(result.status, 'offered');
+    assert.deepEqual(result.offers.map(offer => offer.driverId), ['d1']);
+  });
+
+  it('does nothing for assigned or non-dispatchable orders', async () => {
+    assert.equal((await setup({ order: { driverId: 'd9' } }).service.dispatchOrder('o1')).status, 'assigned');
+    assert.equal((await setup({ order: { status: 'pending' } }).service.dispatchOrder('o1')).status, 'not_dispatchable');
+    assert.equal((await setup().service.dispatchOrder('missing')).status, 'not_dispatchable');
+  });
+});
+
+describe('SupabaseDispatchStore', () => {
+  it('returns the same shapes as InMemoryDispatchStore', async () => {
+    const updatedAt = '2026-10-19T11:59:00Z';
+    mockRest(({ table, params }) => {
+      if (table === 'drivers') {
+        return [{ user_id: 'd1', vehicle_type: 'car', location: { lat: 36.75, lng: 3.05, updated_at: updatedAt } }];
+      }
+      if (table === 'orders' && params.get('select') === 'driver_id') {
+        return [{ driver_id: 'd1' }];
+      }
+      if (table === 'orders') {
+        return { id: 'o1', status: 'ready', driver_id: null, restaurant: { id: 'r1', latitude: 36.7, longitude: 3.1 } };
+      }
+      if (table === 'order_assignments' && params.get('select') === 'driver_id,status') {
+        return [{ driver_id: 'd1', status: 'accepted' }, { driver_id: 'd1', status: 'declined' }];
+      }
+      return [{ order_id: 'o1', driver_id: 'd1', status: 'offered', offered_at: updatedAt, expires_at: updatedAt }];
+    });
+
+    try {
+      const store = new SupabaseDispatchStore();
+
+      assert.deepEqual(await store.getCandidateDrivers(), [driver('d1', {
+        vehicleType: 'car',
+        location: { lat: 36.75, lng: 3.05 },
+        locationUpdatedAt: Date.parse(updatedAt),
+        activeOrders: 1,
+        acceptanceRate: 0.5,
+      })]);
+      assert.deepEqual(await store.getOrder('o1'), {
+        id: 'o1', status: 'ready', driverId: null, restaurantLocation: { lat: 36.7, lng: 3.1 },
+      });
+      assert.deepEqual(await store.getOffers('o1'), [{
+        orderId: 'o1', driverId: 'd1', status: 'offered', offeredAt: Date.parse(updatedAt), expiresAt: Date.parse(updatedAt),
+      }]);
+    } finally {
+      mockRest(null);
+    }
+  });
+});
@@ -0,0 +1,67 @@
+import './setup.js';
+
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { PromoAnalyticsService } from '../src/services/promoAnalyticsService.js';
+
+const analytics = new PromoAnalyticsService();
+const TZ = 'Africa/Algiers';
+
+const redemption = (userId, status, createdAt, { subtotal = 1000, discount = 100 } = {}) => ({
+  user_id: userId,
+  discount_amount: discount,
+  order: { status, subtotal, created_at: createdAt },
+});
+
+describe('PromoAnalyticsService.summarize', () => {
+  const redemptions = [
+    redemption('a', 'delivered', '2026-10-01T10:00:00Z', { subtotal: 2000, discount: 200 }),
+    redemption('a', 'delivered', '2026-10-02T10:00:00Z'),
+    redemption('b', 'cancelled', '2026-10-02T11:00:00Z'),
+    redemption('c', 'pending', '2026-10-02T12:00:00Z'),
+    // 23:30 UTC is already the next day in Algiers
+    redemption('d', 'preparing', '2026-10-02T23:30:00Z'),
+  ];
+  // a ordered before the campaign, d did not
+  const firstDelivered = new Map([['a', '2026-09-01T10:00:00Z'], ['d', '2026-10-02T23:30:00Z']]);
+
+  const stats = analytics.summarize(redemptions, firstDelivered, { interval: 'day', timeZone: TZ });
+
+  it('keeps cancelled and open orders out of the value figures', () => {
+    assert.equal(stats.redemptions, 5);
+    assert.equal(stats.cancelled_orders, 1);
+    assert.equal(stats.open_orders, 1);
+    assert.equal(stats.total_discount, 400);
+    assert.equal(stats.gross_order_value, 4000);
+    assert.equal(stats.average_order_value, 1333.33);
+    assert.equal(stats.cancellation_rate, 0.2);
+  });
+
+  it('counts each customer once, as new unless they had a delivered order before', () => {
+    assert.equal(stats.unique_users, 4);
+    assert.equal(stats.new_customers, 3);
+    assert.equal(stats.returning_customers, 1);
+  });
+
+  it('buckets by local day', () => {
+    assert.deepEqual(
+      stats.timeline.map(bucket => [bucket.period, bucket.redemptions]),
+      [['2026-10-01', 1], ['2026-10-02', 3], ['2026-10-03', 1]]
+    );
+  });
+
+  it('starts weeks on Sunday and groups months', () => {
+    const weekly = analytics.summarize(redemptions, firstDelivered, { interval: 'week', timeZone: TZ });
+    assert.deepEqual(weekly.timeline.map(bucket => bucket.period), ['2026-09-27']);
+
+    const monthly = analytics.summarize(redemptions, firstDelivered, { interval: 'month', timeZone: TZ });
+    assert.deepEqual(monthly.timeline.map(bucket => [bucket.period, bucket.redemptions]), [['2026-10', 5]]);
+  });
+
+  it('reports zeros for no redemptions', () => {
+    const empty = analytics.summarize([]);
+    assert.equal(empty.average_order_value, 0);
+    assert.equal(empty.cancellation_rate, 0);
+    assert.deepEqual(empty.timeline, []);
+  });
+});
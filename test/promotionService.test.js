@@ -0,0 +1,107 @@
+import './setup.js';
+
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { PromotionService } from '../src/services/promotionService.js';
+
+const promotions = new PromotionService();
+
+// Monday 19 October 2026, 12:00 in Algiers
+const AT = new Date('2026-10-19T11:00:00Z');
+const TZ = 'Africa/Algiers';
+
+const line = (menuItemId, unitPrice, quantity = 1) => ({
+  menu_item_id: menuItemId,
+  quantity,
+  unit_price: unitPrice,
+  subtotal: unitPrice * quantity,
+  available: true,
+});
+
+const menuItems = new Map([
+  ['pizza', { id: 'pizza', category: 'pizzas', restaurant_id: 'r1' }],
+  ['burger', { id: 'burger', category: 'burgers', restaurant_id: 'r1' }],
+  ['soda', { id: 'soda', name: 'Soda', price: 150, category: 'drinks', restaurant_id: 'r1', is_available: true }],
+]);
+
+const promotion = overrides => ({
+  id: overrides.id || 'p',
+  restaurant_id: 'r1',
+  name: overrides.id || 'p',
+  priority: 0,
+  ...overrides,
+});
+
+const apply = (list, lines) => promotions.applyPromotions(list, {
+  lines,
+  menuItems,
+  subtotal: lines.reduce((sum, l) => sum + l.subtotal, 0),
+  at: AT,
+  timeZone: TZ,
+});
+
+describe('PromotionService.applyPromotions', () => {
+  it('applies a capped percentage to eligible categories only', () => {
+    const result = apply(
+      [promotion({ type: 'percentage', value: 50, categories: ['pizzas'], max_discount_amount: 400 })],
+      [line('pizza', 1000), line('burger', 800)]
+    );
+
+    assert.equal(result.discount, 400);
+    assert.deepEqual([...result.lineDiscounts], [[0, { amount: 400, promotion_id: 'p' }]]);
+    assert.deepEqual(result.applied[0].menu_item_ids, ['pizza']);
+  });
+
+  it('gives the cheapest units free with buy X get Y', () => {
+    const result = apply(
+      [promotion({ type: 'bogo', buy_quantity: 1, get_quantity: 1 })],
+      [line('pizza', 1000, 2), line('burger', 800, 2)]
+    );
+
+    // Units by price: 1000, 1000, 800, 800 -> the 2nd and 4th are free
+    assert.equal(result.discount, 1800);
+  });
+
+  it('discounts a line once: the best promotion wins, unless another has priority', () => {
+    const lines = [line('pizza', 1000)];
+    const small = promotion({ id: 'small', type: 'fixed', value: 100 });
+    const big = promotion({ id: 'big', type: 'percentage', value: 30 });
+
+    assert.deepEqual(apply([small, big], lines).applied.map(p => p.promotion_id), ['big']);
+    assert.deepEqual(
+      apply([{ ...small, priority: 1 }, big], lines).applied.map(p => p.promotion_id),
+      ['small']
+    );
+  });
+
+  it('adds free items as extra lines counted in savings, not in the discount', () => {
+    const result = apply(
+      [promotion({ type: 'free_item', free_menu_item_id: 'soda', free_quantity: 2, min_basket_amount: 1500 })],
+      [line('pizza', 1000, 2)]
+    );
+
+    assert.equal(result.discount, 0);
+    assert.equal(result.savings, 300);
+    assert.deepEqual(result.freeLines.map(l => [l.menu_item_id, l.quantity, l.unit_price]), [['soda', 2, 0]]);
+  });
+
+  it('skips promotions below their minimum basket or outside their days and hours', () => {
+    const lines = [line('pizza', 1000)];
+
+    assert.deepEqual(apply([promotion({ type: 'fixed', value: 100, min_basket_amount: 2000 })], lines).applied, []);
+    assert.deepEqual(apply([promotion({ type: 'fixed', value: 100, days_of_week: [5, 6] })], lines).applied, []);
+    assert.deepEqual(apply([promotion({ type: 'fixed', value: 100, start_time: '18:00', end_time: '23:00' })], lines).applied, []);
+    assert.equal(apply([promotion({ type: 'fixed', value: 100, days_of_week: [1], start_time: '11:00', end_time: '14:00' })], lines).discount, 100);
+  });
+});
+
+describe('PromotionService.isEligible', () => {
+  const lateNight = promotion({ type: 'fixed', value: 100, days_of_week: [5], start_time: '22:00', end_time: '02:00' });
+
+  it('counts the hours after midnight of a window as the previous day', () => {
+    // Saturday 01:00 belongs to Friday's window
+    assert.equal(promotions.isEligible(lateNight, { local: { weekday: 6, hour: 1, minute: 0 }, subtotal: 0 }), true);
+    assert.equal(promotions.isEligible(lateNight, { local: { weekday: 5, hour: 1, minute: 0 }, subtotal: 0 }), false);
+    assert.equal(promotions.isEligible(lateNight, { local: { weekday: 5, hour: 23, minute: 0 }, subtotal: 0 }), true);
+  });
+});
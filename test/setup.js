@@ -0,0 +1,34 @@
+// Imported first by every test file, before any module that creates the
+// Supabase clients: no real project is needed, and requests are answered
+// by the handler given to mockRest() instead of going over the network.
+
+process.env.SUPABASE_URL ||= 'http://supabase.test';
+process.env.SUPABASE_ANON_KEY ||= 'test-anon-key';
+
+let handler = null;
+
+globalThis.fetch = async (input, init = {}) => {
+  if (!handler) {
+    throw new Error(`Unexpected request in tests: ${init.method || 'GET'} ${input}`);
+  }
+
+  const url = new URL(String(input));
+  const body = await handler({
+    method: init.method || 'GET',
+    table: url.pathname.replace(/^\/rest\/v1\//, ''),
+    params: url.searchParams,
+  });
+
+  return new Response(JSON.stringify(body ?? []), {
+    status: 200,
+    headers: { 'Content-Type': 'application/json' },
+  });
+};
+
+/**
+ * Answer PostgREST requests with handler({ method, table, params }),
+ * which returns the JSON body. Pass null to forbid requests again.
+ */
+export function mockRest(fn) {
+  handler = fn;
+}
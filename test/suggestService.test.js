@@ -0,0 +1,84 @@
+import './setup.js';
+
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { StaticSuggestionSource, SuggestService } from '../src/services/suggestService.js';
+import { SuggestionIndex } from '../src/services/suggestionIndex.js';
+
+const ENTRIES = [
+  { type: 'restaurant', id: 'r1', label: 'Pizzeria Napoli', popularity: 0.2, data: { image_url: 'napoli.jpg' } },
+  { type: 'restaurant', id: 'r2', label: 'Pizza Hut', popularity: 0.9 },
+  { type: 'dish', id: 'm1', label: 'Shawarma poulet', alternates: ['شاورما دجاج'], popularity: 0.5 },
+  { type: 'dish', id: 'm2', label: 'Couscous royal', popularity: 0.4 },
+  { type: 'cuisine', id: 'algerian', label: 'Algerian', popularity: 0 },
+  { type: 'restaurant', id: 'r3', label: 'Le Dey', popularity: 0 },
+];
+
+const index = new SuggestionIndex(ENTRIES);
+const ids = results => results.map(result => result.id);
+
+describe('SuggestionIndex.search', () => {
+  it('completes a label prefix and ranks popular entries first among equal matches', () => {
+    assert.deepEqual(ids(index.search('pizz')), ['r2', 'r1']);
+  });
+
+  it('ranks a label prefix above a match on a later word', () => {
+    const results = index.search('roya');
+    assert.equal(results[0].id, 'm2');
+
+    const prefix = index.search('couscous r');
+    assert.ok(prefix[0].score > results[0].score);
+  });
+
+  it('tolerates typos in longer words only, ranked below exact matches', () => {
+    const [exact] = index.search('couscous');
+    const [oneTypo] = index.search('cuscous');
+    const [twoTypos] = index.search('cuscus');
+
+    assert.deepEqual([exact.id, oneTypo.id, twoTypos.id], ['m2', 'm2', 'm2']);
+    assert.ok(exact.score > oneTypo.score && oneTypo.score > twoTypos.score);
+    assert.deepEqual(ids(index.search('algerain')), ['algerian']);
+
+    assert.deepEqual(ids(index.search('dey')), ['r3']);
+    assert.deepEqual(index.search('dez'), []);
+  });
+
+  it('matches other spellings and Arabic script through the skeleton', () => {
+    assert.deepEqual(ids(index.search('chawarma')), ['m1']);
+    assert.deepEqual(ids(index.search('شاورما')), ['m1']);
+  });
+
+  it('ignores accents and case', () => {
+    assert.deepEqual(ids(index.search('ALGÉRIAN')), ['algerian']);
+  });
+
+  it('filters by type, applies the limit and returns entry data', () => {
+    assert.deepEqual(ids(index.search('pizz', { types: ['dish'] })), []);
+    assert.deepEqual(ids(index.search('pizz', { limit: 1 })), ['r2']);
+    assert.deepEqual(index.search('napoli')[0], {
+      type: 'restaurant', id: 'r1', text: 'Pizzeria Napoli', score: 93, image_url: 'napoli.jpg',
+    });
+  });
+
+  it('returns nothing for an empty query', () => {
+    assert.deepEqual(index.search('  '), []);
+  });
+});
+
+describe('SuggestService', () => {
+  it('rebuilds the index from its source once it is stale', async () => {
+    let now = 0;
+    const source = new StaticSuggestionSource(ENTRIES.slice(0, 1));
+    const service = new SuggestService({ source, refreshMs: 1000, now: () => now });
+
+    assert.deepEqual(ids(await service.suggest('pizz')), ['r1']);
+
+    source.entries = ENTRIES;
+    assert.deepEqual(ids(await service.suggest('pizz')), ['r1']);
+
+    now = 2000;
+    await service.suggest('pizz');
+    await service.building;
+    assert.deepEqual(ids(await service.suggest('pizz')), ['r2', 'r1']);
+  });
+});
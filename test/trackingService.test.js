@@ -0,0 +1,71 @@
+import './setup.js';
+
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { TrackingService } from '../src/services/trackingService.js';
+
+const tracking = new TrackingService();
+const NOW = Date.parse('2026-10-19T12:00:00Z');
+
+const RESTAURANT = { lat: 36.7538, lng: 3.0588 };
+const CUSTOMER = { lat: 36.7538 + 3 / 111.2, lng: 3.0588 };
+const DRIVER = { lat: 36.7538 - 2 / 111.2, lng: 3.0588 };
+
+describe('TrackingService.estimateEta', () => {
+  it('goes through the restaurant before pickup', () => {
+    const toRestaurant = tracking.travelTimeMs(DRIVER, RESTAURANT, 'scooter');
+    const toCustomer = tracking.travelTimeMs(RESTAURANT, CUSTOMER, 'scooter');
+
+    const eta = tracking.estimateEta({
+      status: 'preparing',
+      driverLocation: DRIVER,
+      restaurantLocation: RESTAURANT,
+      customerLocation: CUSTOMER,
+      vehicleType: 'scooter',
+      now: NOW,
+    });
+
+    assert.deepEqual(eta, { pickupAt: NOW + toRestaurant, deliveryAt: NOW + toRestaurant + toCustomer });
+  });
+
+  it('waits for the food when the driver arrives before it is ready', () => {
+    const readyAt = NOW + 60 * 60 * 1000;
+
+    const eta = tracking.estimateEta({
+      status: 'preparing',
+      driverLocation: DRIVER,
+      restaurantLocation: RESTAURANT,
+      customerLocation: CUSTOMER,
+      readyAt,
+      now: NOW,
+    });
+
+    assert.equal(eta.pickupAt, readyAt);
+    assert.equal(eta.deliveryAt, readyAt + tracking.travelTimeMs(RESTAURANT, CUSTOMER));
+  });
+
+  it('goes straight to the customer after pickup', () => {
+    const eta = tracking.estimateEta({
+      status: 'picked_up',
+      driverLocation: DRIVER,
+      customerLocation: CUSTOMER,
+      vehicleType: 'car',
+      now: NOW,
+    });
+
+    assert.deepEqual(eta, { pickupAt: null, deliveryAt: NOW + tracking.travelTimeMs(DRIVER, CUSTOMER, 'car') });
+  });
+
+  it('returns null without the locations it needs', () => {
+    assert.equal(tracking.estimateEta({ status: 'picked_up', driverLocation: DRIVER, now: NOW }), null);
+    assert.equal(tracking.estimateEta({
+      status: 'ready', driverLocation: DRIVER, customerLocation: CUSTOMER, now: NOW,
+    }), null);
+  });
+});
+
+describe('TrackingService.travelTimeMs', () => {
+  it('is slower on a bicycle than on a motorcycle', () => {
+    assert.ok(tracking.travelTimeMs(DRIVER, CUSTOMER, 'bicycle') > tracking.travelTimeMs(DRIVER, CUSTOMER, 'motorcycle'));
+  });
+});